@@ -7,6 +7,8 @@ const checks = [
   { path: '/api/media/recently-watched?limit=1&type=movie', keys: ['items'] },
   { path: '/api/media/recently-added?limit=1', keys: ['items'] },
   { path: '/api/media/library?limit=1', keys: ['items', 'total'] },
+  { path: '/api/media/library/facets', keys: ['facets', 'total'] },
+  { path: '/api/media/library/random?count=3&played=unwatched', keys: ['items', 'total'] },
   { path: '/api/media/activity/weekly', keys: ['data'] },
   { path: '/api/media/activity/monthly', keys: ['data'] }
 ];
@@ -48,6 +50,29 @@ for (const check of checks) {
     }
     console.log('ok /api/media/recently-watched?type=movie movie-only filter');
   }
+
+  const invalid = await fetch(`${baseUrl}/api/media/recently-watched?type=podcast`, { headers: { Accept: 'application/json' } });
+  if (invalid.status !== 400) throw new Error(`/api/media/recently-watched: expected 400 for unknown type, got ${invalid.status}`);
+  console.log('ok /api/media/recently-watched (400 for unknown type)');
+}
+
+// Smoke check: GET /api/media/recently-added filters and season grouping.
+{
+  const movies = await fetchJson('/api/media/recently-added?limit=5&type=movie');
+  if (movies.items.some((item) => item?.media_type !== 'movie')) {
+    throw new Error('/api/media/recently-added?type=movie: found item without media_type=movie');
+  }
+  console.log('ok /api/media/recently-added?type=movie movie-only filter');
+
+  const grouped = await fetchJson('/api/media/recently-added?limit=5&group=season');
+  if (grouped.items.some((item) => item?.group === 'season' && !item.id)) {
+    throw new Error('/api/media/recently-added?group=season: season entry without id');
+  }
+  console.log('ok /api/media/recently-added?group=season');
+
+  const invalid = await fetch(`${baseUrl}/api/media/recently-added?type=podcast`, { headers: { Accept: 'application/json' } });
+  if (invalid.status !== 400) throw new Error(`/api/media/recently-added: expected 400 for unknown type, got ${invalid.status}`);
+  console.log('ok /api/media/recently-added (400 for unknown type)');
 }
 
 async function fetchJson(path) {
@@ -231,3 +256,127 @@ async function fetchJson(path) {
     }
   }
 }
+
+// Smoke check: GET /api/media/img rejects unsigned and off-allowlist requests with JSON errors.
+{
+  const missingRef = await fetch(`${baseUrl}/api/media/img`, { redirect: 'manual' });
+  if (missingRef.status !== 400) throw new Error(`/api/media/img without ref: expected 400, got ${missingRef.status}`);
+  console.log('ok /api/media/img (400 for missing ref)');
+
+  const offAllowlist = await fetch(`${baseUrl}/api/media/img?u=${encodeURIComponent('http://169.254.169.254/latest')}&sig=x`, { redirect: 'manual' });
+  if (offAllowlist.status !== 403) throw new Error(`/api/media/img off-allowlist: expected 403, got ${offAllowlist.status}`);
+  const offAllowlistBody = await offAllowlist.json();
+  if (!('error' in offAllowlistBody)) throw new Error('/api/media/img off-allowlist: missing error key');
+  console.log('ok /api/media/img (403 for off-allowlist host)');
+}
+
+// Smoke check: GET /api/media/shows list shape and /shows/:id detail.
+{
+  const shows = await fetchJson('/api/media/shows?limit=1');
+  if (!Array.isArray(shows.items)) throw new Error('/api/media/shows?limit=1: items is not an array');
+  if (!('total' in shows)) throw new Error('/api/media/shows: missing key total');
+
+  if (shows.items.length > 0) {
+    const show = shows.items[0];
+    for (const key of ['id', 'title', 'media_type', 'provider_ids', 'status', 'season_count', 'episode_count', 'watched_episode_count']) {
+      if (!(key in show)) throw new Error(`/api/media/shows: missing key ${key}`);
+    }
+    const detail = await fetchJson(`/api/media/shows/${encodeURIComponent(show.id)}`);
+    if (!Array.isArray(detail.seasons)) throw new Error('/api/media/shows/:id: seasons is not an array');
+    console.log(`ok /api/media/shows/:id (id=${show.id})`);
+  } else {
+    console.log('skip /api/media/shows/:id (no series in library)');
+  }
+
+  const missingShow = await fetch(`${baseUrl}/api/media/shows/00000000-0000-0000-0000-000000000000`, { headers: { Accept: 'application/json' } });
+  if (missingShow.status !== 404) throw new Error(`/api/media/shows/:id: expected 404, got ${missingShow.status}`);
+  console.log('ok /api/media/shows/:id (404 for nonexistent id)');
+}
+
+// Smoke check: /api/media/requests listing shape and unauthenticated POST rejection.
+{
+  const requests = await fetchJson('/api/media/requests?limit=5');
+  if (!Array.isArray(requests.items)) throw new Error('/api/media/requests: items is not an array');
+  console.log('ok /api/media/requests list shape');
+
+  const unauthenticated = await fetch(`${baseUrl}/api/media/requests`, {
+    method: 'POST',
+    headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id: 'tmdb:603' })
+  });
+  if (![401, 503].includes(unauthenticated.status)) {
+    throw new Error(`POST /api/media/requests without token: expected 401 or 503, got ${unauthenticated.status}`);
+  }
+  console.log('ok POST /api/media/requests (rejected without token)');
+}
+
+// Smoke check: /api/media/now-playing shape (no account names) and the SSE stream content type.
+{
+  const nowPlaying = await fetchJson('/api/media/now-playing');
+  if (!Array.isArray(nowPlaying.items)) throw new Error('/api/media/now-playing: items is not an array');
+  for (const item of nowPlaying.items) {
+    for (const key of ['session_key', 'title', 'progress_percent', 'paused', 'play_method', 'user']) {
+      if (!(key in item)) throw new Error(`/api/media/now-playing: missing key ${key}`);
+    }
+    if ('user_name' in item || 'device_name' in item) throw new Error('/api/media/now-playing: leaks account details');
+  }
+  console.log(`ok /api/media/now-playing (${nowPlaying.items.length} active)`);
+
+  const controller = new AbortController();
+  const stream = await fetch(`${baseUrl}/api/media/now-playing/stream`, { signal: controller.signal });
+  const contentType = stream.headers.get('content-type') || '';
+  controller.abort();
+  if (!contentType.startsWith('text/event-stream')) {
+    throw new Error(`/api/media/now-playing/stream: expected text/event-stream, got ${contentType}`);
+  }
+  console.log('ok /api/media/now-playing/stream content type');
+}
+
+// Smoke check: /api/media/activity range buckets and validation.
+{
+  const range = await fetchJson('/api/media/activity?granularity=day');
+  if (!Array.isArray(range.buckets)) throw new Error('/api/media/activity: buckets is not an array');
+  for (const bucket of range.buckets) {
+    if (!bucket.start || !bucket.end || typeof bucket.count !== 'number') throw new Error('/api/media/activity: malformed bucket');
+  }
+  console.log(`ok /api/media/activity (${range.buckets.length} day buckets)`);
+
+  const invalid = await fetch(`${baseUrl}/api/media/activity?granularity=fortnight`, { headers: { Accept: 'application/json' } });
+  if (invalid.status !== 400) throw new Error(`/api/media/activity: expected 400 for unknown granularity, got ${invalid.status}`);
+  console.log('ok /api/media/activity (400 for unknown granularity)');
+}
+
+// Smoke check: watch-history store status.
+{
+  const history = await fetchJson('/api/media/debug/history');
+  if (typeof history.configured !== 'boolean') throw new Error('/api/media/debug/history: missing configured flag');
+  if (history.configured && history.error) throw new Error(`/api/media/debug/history: ${history.error}`);
+  console.log(`ok /api/media/debug/history (${history.configured ? `${history.plays ?? 0} plays` : 'disabled'})`);
+}
+
+// Smoke check: /api/media/history/export is token-only; with MEDIA_PROXY_API_TOKEN set, the
+// Letterboxd header is checked too.
+{
+  const anonymous = await fetch(`${baseUrl}/api/media/history/export?format=letterboxd`);
+  if (anonymous.status !== 401 && anonymous.status !== 503) {
+    throw new Error(`/api/media/history/export: expected 401 or 503 without a token, got ${anonymous.status}`);
+  }
+  console.log(`ok /api/media/history/export (${anonymous.status} without a token)`);
+
+  const token = process.env.MEDIA_PROXY_API_TOKEN;
+  if (token) {
+    const response = await fetch(`${baseUrl}/api/media/history/export?format=letterboxd&from=2999-01-01&to=2999-01-02`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    const body = await response.text();
+    if (response.status === 503) {
+      console.log('ok /api/media/history/export (history store disabled)');
+    } else {
+      if (!response.ok) throw new Error(`/api/media/history/export: ${response.status} ${body}`);
+      if (!body.startsWith('Title,Year,imdbID,tmdbID,WatchedDate,Rewatch')) {
+        throw new Error('/api/media/history/export: unexpected Letterboxd header');
+      }
+      console.log('ok /api/media/history/export (letterboxd header)');
+    }
+  }
+}
@@ -1,84 +1,161 @@
 import express from 'express';
 import { config as defaultConfig } from './config/env.mjs';
+import { configureCache } from './lib/cache.mjs';
+import { onUpstreamCall } from './lib/http.mjs';
+import { configureLogger, logger, logUpstreamCall, requestLogger } from './lib/logger.mjs';
 import { createJellyfinClient } from './clients/jellyfinClient.mjs';
 import { createPlaybackReportingRepository } from './repositories/playbackReportingRepository.mjs';
+import { createHistoryRepository } from './repositories/historyRepository.mjs';
 import { createImageService } from './services/imageService.mjs';
 import { createRecentlyWatchedService } from './services/recentlyWatchedService.mjs';
 import { createRecentlyAddedService } from './services/recentlyAddedService.mjs';
 import { createLibraryService } from './services/libraryService.mjs';
+import { createSearchIndexService } from './services/searchIndexService.mjs';
 import { createItemService } from './services/itemService.mjs';
+import { createShowService } from './services/showService.mjs';
+import { createRequestService } from './services/requestService.mjs';
+import { createNowPlayingService } from './services/nowPlayingService.mjs';
+import { createHistoryService } from './services/historyService.mjs';
+import { createHistoryExportService } from './services/historyExportService.mjs';
 import { createActivityService } from './services/activityService.mjs';
+import { createRedactionService } from './services/redactionService.mjs';
+import { createWrappedService } from './services/wrappedService.mjs';
+import { createMetricsService } from './services/metricsService.mjs';
 import { createHealthRoutes } from './routes/healthRoutes.mjs';
 import { createImageRoutes } from './routes/imageRoutes.mjs';
 import { createRecentlyWatchedRoutes } from './routes/recentlyWatchedRoutes.mjs';
 import { createRecentlyAddedRoutes } from './routes/recentlyAddedRoutes.mjs';
 import { createLibraryRoutes } from './routes/libraryRoutes.mjs';
 import { createItemRoutes } from './routes/itemRoutes.mjs';
+import { createShowRoutes } from './routes/showRoutes.mjs';
+import { createRequestRoutes } from './routes/requestRoutes.mjs';
+import { createNowPlayingRoutes } from './routes/nowPlayingRoutes.mjs';
+import { createHistoryRoutes } from './routes/historyRoutes.mjs';
 import { createActivityRoutes } from './routes/activityRoutes.mjs';
 import { createDebugRoutes } from './routes/debugRoutes.mjs';
+import { createMetricsRoutes } from './routes/metricsRoutes.mjs';
 
 export function createApp(config = defaultConfig) {
   const app = express();
   const apiRouter = express.Router();
 
-  app.use('/api/media', apiRouter);
-
-  app.use((req, res, next) => {
-    console.log(`===== DEBUG =====`);
-    console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
-    console.log(`Original URL: ${req.originalUrl}`);
-    console.log(`Base URL: ${req.baseUrl}`);
-    console.log(`Host: ${req.headers.host}`);
-    console.log(`Referer: ${req.headers.referer || 'none'}`);
-    console.log(`================`);
-    next();
-  });
+  configureLogger(config.logging);
+  configureCache(config.cache);
+  onUpstreamCall(logUpstreamCall);
 
   const jellyfinClient = createJellyfinClient(config);
   const playbackRepository = createPlaybackReportingRepository(config);
+  const historyRepository = createHistoryRepository(config);
   const imageService = createImageService(config);
+  const metricsService = createMetricsService({ config, imageService });
+
+  app.use(requestLogger());
+  app.use(metricsService.requestMiddleware);
+  app.use('/api/media', apiRouter);
+
+  const redactionService = createRedactionService({
+    config,
+    jellyfinClient
+  });
+  const historyService = createHistoryService({
+    config,
+    jellyfinClient,
+    playbackRepository,
+    historyRepository
+  });
   const recentlyWatchedService = createRecentlyWatchedService({
     config,
     jellyfinClient,
     imageService,
-    playbackRepository
+    playbackRepository,
+    historyService
   });
   const recentlyAddedService = createRecentlyAddedService({
     config,
     jellyfinClient,
     imageService
   });
+  // The index reads the library through libraryService, which in turn searches the index.
+  const searchIndexService = createSearchIndexService({
+    config,
+    listAllMovies: () => libraryService.listAllMovies()
+  });
   const libraryService = createLibraryService({
+    config,
+    jellyfinClient,
+    imageService,
+    searchIndexService
+  });
+  const showService = createShowService({
     config,
     jellyfinClient,
     imageService
   });
   const itemService = createItemService({
+    config,
+    jellyfinClient,
+    imageService,
+    showService
+  });
+  const requestService = createRequestService({
+    config,
+    libraryService,
+    imageService
+  });
+  const nowPlayingService = createNowPlayingService({
     config,
     jellyfinClient,
     imageService
   });
+  const historyExportService = createHistoryExportService({
+    config,
+    historyService
+  });
   const activityService = createActivityService({
     config,
     jellyfinClient,
-    playbackRepository
+    playbackRepository,
+    historyService,
+    metricsService
+  });
+
+  const wrappedService = createWrappedService({
+    config,
+    jellyfinClient,
+    imageService,
+    activityService
   });
 
+  historyService.start();
+  searchIndexService.start();
+
   app.get('/health', (req, res) => res.json({ ok: true }));
+  app.use(createMetricsRoutes({ metricsService }));
 
+  // Redacted and bypassed responses differ by Authorization, so shared caches must key on it.
+  if (redactionService.isActive()) {
+    apiRouter.use((req, res, next) => {
+      res.vary('Authorization');
+      next();
+    });
+  }
   apiRouter.use(createHealthRoutes({ config }));
   apiRouter.use(createImageRoutes({ imageService }));
-  apiRouter.use(createRecentlyWatchedRoutes({ recentlyWatchedService }));
-  apiRouter.use(createRecentlyAddedRoutes({ recentlyAddedService }));
+  apiRouter.use(createRecentlyWatchedRoutes({ recentlyWatchedService, redactionService }));
+  apiRouter.use(createRecentlyAddedRoutes({ recentlyAddedService, redactionService }));
   apiRouter.use(createLibraryRoutes({ libraryService }));
   apiRouter.use(createItemRoutes({ itemService }));
-  apiRouter.use(createActivityRoutes({ activityService, config }));
+  apiRouter.use(createShowRoutes({ showService }));
+  apiRouter.use(createRequestRoutes({ requestService, config }));
+  apiRouter.use(createNowPlayingRoutes({ nowPlayingService, redactionService }));
+  apiRouter.use(createHistoryRoutes({ config, historyExportService }));
+  apiRouter.use(createActivityRoutes({ activityService, wrappedService, redactionService, config }));
 
   app.get('/', (req, res) => {
     res.json({ message: 'API server running. Use /api/media/* routes to access endpoints.' });
   });
 
-  const debugRoutes = createDebugRoutes({ jellyfinClient, app, apiRouter });
+  const debugRoutes = createDebugRoutes({ jellyfinClient, imageService, playbackRepository, historyService, searchIndexService, app, apiRouter });
   apiRouter.use(debugRoutes.router);
 
   app.get('/debug-routes', (req, res) => {
@@ -89,19 +166,19 @@ export function createApp(config = defaultConfig) {
 }
 
 export function printRoutes(app) {
-  console.log('\n===== REGISTERED ROUTES =====');
-  const printStackRoutes = (stack, basePath = '') => {
+  const routes = [];
+  const collectStackRoutes = (stack, basePath = '') => {
     stack.forEach(layer => {
       if (layer.route) {
         const methods = Object.keys(layer.route.methods).join(',').toUpperCase() || 'ANY';
-        console.log(`${basePath ? methods : methods} ${basePath}${layer.route.path}`);
+        routes.push(`${methods} ${basePath}${layer.route.path}`);
       } else if (layer.name === 'router' && layer.handle?.stack) {
         const nextBase = basePath || '/api/media';
-        printStackRoutes(layer.handle.stack, nextBase);
+        collectStackRoutes(layer.handle.stack, nextBase);
       }
     });
   };
 
-  printStackRoutes(app._router.stack);
-  console.log('===========================\n');
+  collectStackRoutes(app._router.stack);
+  logger.debug('registered routes', { routes });
 }
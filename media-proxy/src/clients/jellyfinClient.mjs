@@ -24,7 +24,17 @@ export function createJellyfinClient(config) {
       request(`/Items/${encodeURIComponent(id)}?Fields=${fields}&ImageTypeLimit=1&EnableImageTypes=Primary,Backdrop,Thumb`),
     searchItems: (query, includeTypes = 'Movie,Episode,Video') =>
       request(`/Items?SearchTerm=${encodeURIComponent(query)}&Recursive=true&Limit=25&IncludeItemTypes=${includeTypes}&Fields=BasicSyncInfo,CanDelete,CommunityRating,CriticRating,DateCreated,Genres,OfficialRating,ProviderIds,PrimaryImageAspectRatio,ProductionYear,RunTimeTicks&ImageTypeLimit=1&EnableImageTypes=Primary,Backdrop,Thumb&EnableUserData=true`),
+    getItemsByIds: (ids, fields = 'ProviderIds') =>
+      request(`/Items?Ids=${ids.map(encodeURIComponent).join(',')}&Fields=${fields}&EnableImageTypes=Primary`),
+    getItemAncestors: (id) => request(`/Items/${encodeURIComponent(id)}/Ancestors`),
+    getGenres: (userId, includeTypes = 'Movie') =>
+      request(`/Genres?UserId=${encodeURIComponent(userId)}&IncludeItemTypes=${includeTypes}&Recursive=true`),
     getUserItems: (userId, query) => request(`/Users/${encodeURIComponent(userId)}/Items?${query}`),
-    getActivityLog: (limit) => request(`/System/ActivityLog/Entries?Limit=${limit}&HasUserId=true`)
+    getShowSeasons: (seriesId, query) => request(`/Shows/${encodeURIComponent(seriesId)}/Seasons?${query}`),
+    getShowEpisodes: (seriesId, query) => request(`/Shows/${encodeURIComponent(seriesId)}/Episodes?${query}`),
+    getSessions: (activeWithinSeconds = 960) => request(`/Sessions?ActiveWithinSeconds=${activeWithinSeconds}`),
+    getActivityLog: (limit) => request(`/System/ActivityLog/Entries?Limit=${limit}&HasUserId=true`),
+    getActivityLogPage: ({ startIndex = 0, limit = 100, minDate = null } = {}) =>
+      request(`/System/ActivityLog/Entries?StartIndex=${startIndex}&Limit=${limit}&HasUserId=true${minDate ? `&MinDate=${encodeURIComponent(minDate)}` : ''}`)
   };
 }
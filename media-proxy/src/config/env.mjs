@@ -1,3 +1,62 @@
+import os from 'node:os';
+import path from 'node:path';
+
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// `USER_ALIASES=<jellyfin user id>=<nickname>,...`; a nickname of `hidden` keeps that user anonymous.
+function parseAliasMap(value) {
+  const aliases = {};
+  for (const entry of parseList(value)) {
+    const separator = entry.indexOf('=');
+    if (separator <= 0) continue;
+    const userId = entry.slice(0, separator).trim();
+    const alias = entry.slice(separator + 1).trim();
+    if (userId && alias) aliases[userId] = alias;
+  }
+  return aliases;
+}
+
+const REDACTION_MATCHERS = ['library', 'parent', 'rating', 'tag', 'genre', 'user'];
+const REDACTION_ACTIONS = ['drop', 'placeholder'];
+
+// `REDACTION_RULES` is a JSON array of `{ "library"|"parent"|"rating"|"tag"|"genre"|"user": value
+// or [values], "action": "drop"|"placeholder" }`. A malformed value stops startup rather than
+// silently publishing everything.
+function parseRedactionRules(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return [];
+
+  let rules;
+  try {
+    rules = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`REDACTION_RULES is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(rules)) throw new Error('REDACTION_RULES must be a JSON array');
+
+  return rules.map((rule, index) => {
+    const action = rule?.action ?? 'placeholder';
+    if (!REDACTION_ACTIONS.includes(action)) {
+      throw new Error(`REDACTION_RULES[${index}].action must be one of: ${REDACTION_ACTIONS.join(', ')}`);
+    }
+    const match = {};
+    for (const field of REDACTION_MATCHERS) {
+      if (rule[field] === undefined) continue;
+      const values = (Array.isArray(rule[field]) ? rule[field] : [rule[field]]).map((v) => String(v).trim()).filter(Boolean);
+      if (values.length) match[field] = values;
+    }
+    if (!Object.keys(match).length) {
+      throw new Error(`REDACTION_RULES[${index}] needs at least one of: ${REDACTION_MATCHERS.join(', ')}`);
+    }
+    return { action, match };
+  });
+}
+
 export function getConfig(env = process.env) {
   const jellyfinUrl = env.JELLYFIN_URL;
   const jellyfinToken = env.JELLYFIN_TOKEN;
@@ -7,11 +66,45 @@ export function getConfig(env = process.env) {
   const jellyseerrApiKey = env.JELLYSEERR_API_KEY;
   const radarrUrl = env.RADARR_URL;
   const radarrApiKey = env.RADARR_API_KEY;
+  const sonarrUrl = env.SONARR_URL;
+  const sonarrApiKey = env.SONARR_API_KEY;
 
   return {
     port: env.PORT || 8080,
+    apiToken: env.MEDIA_PROXY_API_TOKEN || null,
     timeoutMs: Number(env.TIMEOUT_MS || 1500),
     activityTimezone: env.ACTIVITY_TIMEZONE || 'America/Los_Angeles',
+    activityMinPlaySeconds: Math.max(0, Number(env.ACTIVITY_MIN_PLAY_SECONDS ?? 60) || 0),
+    users: {
+      aliases: parseAliasMap(env.USER_ALIASES)
+    },
+    redaction: {
+      rules: parseRedactionRules(env.REDACTION_RULES)
+    },
+    recentlyWatched: {
+      // Episodes of one series started within this many minutes of each other form one session.
+      seriesSessionGapMs: Math.max(1, Number(env.SERIES_SESSION_GAP_MINUTES || 180)) * 60 * 1000
+    },
+    nowPlaying: {
+      pollMs: Math.max(1000, Number(env.NOW_PLAYING_POLL_MS || 5000))
+    },
+    history: {
+      // The store must outlive restarts, so there is no tmpdir default: an unset or empty
+      // HISTORY_DB_PATH disables it and reads go straight to the live sources.
+      dbPath: env.HISTORY_DB_PATH || '',
+      ingestIntervalMs: Math.max(60 * 1000, Number(env.HISTORY_INGEST_INTERVAL_MS || 5 * 60 * 1000))
+    },
+    search: {
+      // 0 disables the local search index; /search then always asks Jellyfin.
+      refreshMs: env.SEARCH_INDEX_REFRESH_MS === '0' ? 0 : Math.max(60 * 1000, Number(env.SEARCH_INDEX_REFRESH_MS || 15 * 60 * 1000))
+    },
+    logging: {
+      level: env.LOG_LEVEL || 'info'
+    },
+    cache: {
+      maxEntries: Number(env.CACHE_MAX_ENTRIES || 1000),
+      maxBytes: Number(env.CACHE_MAX_MB || 64) * 1024 * 1024
+    },
     jellyfin: {
       url: jellyfinUrl,
       token: jellyfinToken,
@@ -24,6 +117,12 @@ export function getConfig(env = process.env) {
       baseUrl: env.TMDB_API_BASE_URL || 'https://api.themoviedb.org/3',
       configured: !!tmdbApiKey
     },
+    images: {
+      signingSecret: env.IMAGE_SIGNING_SECRET,
+      allowedHosts: parseList(env.IMAGE_PROXY_ALLOWED_HOSTS || 'image.tmdb.org'),
+      cacheDir: env.IMAGE_CACHE_DIR ?? path.join(os.tmpdir(), 'media-proxy-images'),
+      cacheMaxBytes: Number(env.IMAGE_CACHE_MAX_MB || 256) * 1024 * 1024
+    },
     jellyseerr: {
       url: jellyseerrUrl,
       apiKey: jellyseerrApiKey,
@@ -32,7 +131,14 @@ export function getConfig(env = process.env) {
     radarr: {
       url: radarrUrl,
       apiKey: radarrApiKey,
+      qualityProfileId: env.RADARR_QUALITY_PROFILE_ID,
+      rootFolderPath: env.RADARR_ROOT_FOLDER,
       configured: !!(radarrUrl && radarrApiKey)
+    },
+    sonarr: {
+      url: sonarrUrl,
+      apiKey: sonarrApiKey,
+      configured: !!(sonarrUrl && sonarrApiKey)
     }
   };
 }
@@ -0,0 +1,31 @@
+import { normalizeTimestamp } from './time.mjs';
+
+// Helpers for Jellyfin `/System/ActivityLog/Entries`, whose playback entries only carry a
+// free-text description of what was played.
+
+export function isPlaybackEntry(entry) {
+  const hay = `${entry?.Type || ''} ${entry?.Name || ''} ${entry?.ShortOverview || ''} ${entry?.Overview || ''}`.toLowerCase();
+  return hay.includes('playback') || hay.includes('played') || hay.includes('stopped');
+}
+
+// Jellyfin logs a start and a stop entry per play; stops close the play the start opened.
+export function isPlaybackStopEntry(entry) {
+  const hay = `${entry?.Type || ''} ${entry?.Name || ''} ${entry?.ShortOverview || ''} ${entry?.Overview || ''}`.toLowerCase();
+  return hay.includes('stopped') || hay.includes('finished playing');
+}
+
+// "Dad has finished playing Show - S01E02 - Title on Living Room TV" -> "Show - S01E02 - Title"
+export function playbackItemName(entry) {
+  const base = entry?.ItemName || entry?.Name || entry?.ShortOverview || entry?.Overview || '';
+  return String(base)
+    .replace(/^[^:]{1,64}:\s*/, '')
+    .replace(/^.+?\bhas finished playing\b\s+/i, '')
+    .replace(/^.+?\bhas started playing\b\s+/i, '')
+    .replace(/^.+?\bplayed\b\s+/i, '')
+    .replace(/\s+\bon\b\s+.+$/i, '')
+    .trim() || null;
+}
+
+export function entryTimestamp(entry) {
+  return normalizeTimestamp(entry?.Date || entry?.DateCreated || entry?.Timestamp || entry?.Time);
+}
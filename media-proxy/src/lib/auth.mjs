@@ -0,0 +1,25 @@
+import { timingSafeEqual } from 'node:crypto';
+
+function readBearerToken(req) {
+  const header = String(req.headers.authorization || '');
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+export function hasValidApiToken(req, config) {
+  const expected = config.apiToken;
+  const provided = readBearerToken(req);
+  if (!expected || !provided) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(provided);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Express middleware for endpoints that act on the media stack rather than just read it.
+export function requireApiToken(config) {
+  return (req, res, next) => {
+    if (!config.apiToken) return res.status(503).json({ error: 'MEDIA_PROXY_API_TOKEN not configured' });
+    if (!hasValidApiToken(req, config)) return res.status(401).json({ error: 'unauthorized' });
+    return next();
+  };
+}
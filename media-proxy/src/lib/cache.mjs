@@ -1,20 +1,226 @@
+import { getRequestContext, logger } from './logger.mjs';
+
+// Process-wide response cache. The Map doubles as the LRU list: reads move a key to the end,
+// eviction walks from the front. Entries outlive their TTL for `staleMs` so withCache can
+// serve them while a single background refresh runs.
 const cache = new Map();
+const inflight = new Map();
+// Keys with a load running: their generation, bumped by invalidateCache, and how many loads are
+// running. A load that finishes in an older generation read data from before the invalidation,
+// so its result is returned to its callers but never stored.
+const generations = new Map();
+const limits = { maxEntries: 1000, maxBytes: 64 * 1024 * 1024 };
+const stats = { hits: 0, stale_hits: 0, misses: 0, coalesced: 0, evictions: 0, load_errors: 0 };
+let totalBytes = 0;
+
+const SIZE_SAMPLE = 16;
+const SIZE_MAX_DEPTH = 8;
+
+// Rough byte size (UTF-16 strings, 8 bytes per scalar) for the maxBytes budget. Long lists are
+// sized from a sample of their first entries, so a large library payload costs a few dozen
+// element walks rather than a full serialization on every set.
+function estimateSize(value, depth = 0) {
+  if (value === null || value === undefined) return 8;
+  if (typeof value === 'string') return value.length * 2;
+  if (typeof value !== 'object') return 8;
+  if (depth >= SIZE_MAX_DEPTH) return 64;
+  if (Buffer.isBuffer(value)) return value.length;
+
+  const values = Array.isArray(value) ? value
+    : value instanceof Map ? Array.from(value.entries())
+      : value instanceof Set ? Array.from(value)
+        : null;
+  if (values) {
+    const sample = values.slice(0, SIZE_SAMPLE);
+    const sampled = sample.reduce((sum, entry) => sum + estimateSize(entry, depth + 1), 0);
+    return 16 + (sample.length ? Math.round((sampled / sample.length) * values.length) : 0);
+  }
+
+  let size = 16;
+  for (const key of Object.keys(value)) size += (key.length * 2) + estimateSize(value[key], depth + 1);
+  return size;
+}
+
+function remove(key) {
+  const entry = cache.get(key);
+  if (!entry) return;
+  cache.delete(key);
+  totalBytes -= entry.size;
+}
+
+function evict() {
+  for (const key of cache.keys()) {
+    if (cache.size <= limits.maxEntries && totalBytes <= limits.maxBytes) break;
+    remove(key);
+    stats.evictions++;
+  }
+}
+
+function touch(key, entry) {
+  cache.delete(key);
+  cache.set(key, entry);
+}
+
+function readEntry(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.staleUntil <= Date.now()) {
+    remove(key);
+    return null;
+  }
+  touch(key, entry);
+  return entry;
+}
+
+export function configureCache({ maxEntries, maxBytes } = {}) {
+  if (Number.isFinite(maxEntries) && maxEntries > 0) limits.maxEntries = maxEntries;
+  if (Number.isFinite(maxBytes) && maxBytes > 0) limits.maxBytes = maxBytes;
+  evict();
+}
+
+// JSON with object keys sorted at every level, so equal values always encode the same way.
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map((entry) => stableJson(entry ?? null)).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter((name) => value[name] !== undefined)
+      .sort()
+      .map((name) => `${JSON.stringify(name)}:${stableJson(value[name])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
 
-const ttl = (ms) => ({ t: Date.now() + ms });
+// Stable key for a query object, so `?a=1&b=2` and `?b=2&a=1` share one entry. Values keep their
+// shape: `a=1,2`, `a=1&a=2` and nested `a[b]=1` all key differently.
+export function cacheKeyFromQuery(prefix, query = {}) {
+  return `${prefix}-${stableJson(query)}`;
+}
 
 export function getCache(key) {
-  const value = cache.get(key);
-  return (value && value.t > Date.now()) ? value.data : null;
+  const entry = readEntry(key);
+  if (!entry || entry.expiresAt <= Date.now()) return null;
+  return entry.data;
+}
+
+export function setCache(key, data, ms = 10000, staleMs = 0) {
+  remove(key);
+  const now = Date.now();
+  const entry = { data, expiresAt: now + ms, staleUntil: now + ms + staleMs, size: estimateSize(data) };
+  cache.set(key, entry);
+  totalBytes += entry.size;
+  evict();
+}
+
+export function invalidateCache(predicate) {
+  let removed = 0;
+  for (const key of new Set([...cache.keys(), ...generations.keys()])) {
+    if (!predicate(key, cache.get(key)?.data)) continue;
+    if (cache.has(key)) {
+      remove(key);
+      removed++;
+    }
+    const generation = generations.get(key);
+    if (generation) {
+      generation.value++;
+      // Later lookups start a fresh load instead of joining the outdated one.
+      inflight.delete(key);
+    }
+  }
+  return removed;
+}
+
+function refresh(key, ms, load, { staleMs, isFailure }) {
+  if (inflight.has(key)) {
+    stats.coalesced++;
+    return inflight.get(key);
+  }
+
+  const generation = generations.get(key) || { value: 0, running: 0 };
+  generations.set(key, generation);
+  generation.running++;
+  const startedIn = generation.value;
+  const isCurrent = () => generation.value === startedIn;
+
+  const promise = (async () => {
+    try {
+      const data = await load();
+      if (!isCurrent()) return data;
+      if (isFailure(data)) {
+        const previous = cache.get(key);
+        // Keep serving the last good value; retry on the next request after a short pause.
+        if (previous) {
+          previous.expiresAt = Math.min(previous.staleUntil, Date.now() + Math.min(ms, 5000));
+          return previous.data;
+        }
+        setCache(key, data, Math.min(ms, 5000));
+        return data;
+      }
+      setCache(key, data, ms, staleMs);
+      return data;
+    } catch (error) {
+      stats.load_errors++;
+      const previous = cache.get(key);
+      if (previous) return previous.data;
+      throw error;
+    } finally {
+      // After an invalidation the key's in-flight slot belongs to a newer load.
+      if (isCurrent()) inflight.delete(key);
+      if (--generation.running === 0) generations.delete(key);
+    }
+  })();
+
+  inflight.set(key, promise);
+  return promise;
+}
+
+// The first lookup in a request decides the cache status reported in its access-log line.
+function noteCacheStatus(status) {
+  const context = getRequestContext();
+  if (context && !context.cache) context.cache = status;
+}
+
+export async function withCache(key, ms, load, { staleMs = 0, isFailure = () => false } = {}) {
+  const entry = readEntry(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    stats.hits++;
+    noteCacheStatus('hit');
+    return entry.data;
+  }
+
+  if (entry) {
+    stats.stale_hits++;
+    noteCacheStatus('stale');
+    refresh(key, ms, load, { staleMs, isFailure }).catch((error) => {
+      logger.error('background cache refresh failed', { key, error: error.message });
+    });
+    return entry.data;
+  }
+
+  stats.misses++;
+  noteCacheStatus('miss');
+  return refresh(key, ms, load, { staleMs, isFailure });
 }
 
-export function setCache(key, data, ms = 10000) {
-  cache.set(key, { data, ...ttl(ms) });
+// Route payloads report upstream trouble as `warning` rather than throwing. A warning with
+// nothing to show is treated as a failed refresh so the previous good payload is kept.
+export function isDegradedPayload(payload) {
+  if (!payload || typeof payload !== 'object') return true;
+  if (Number(payload.status) >= 500) return true;
+  if (!payload.warning) return false;
+  if (Array.isArray(payload.items)) return payload.items.length === 0;
+  return true;
 }
 
-export async function withCache(key, ms, load) {
-  const hit = getCache(key);
-  if (hit) return hit;
-  const data = await load();
-  setCache(key, data, ms);
-  return data;
+export function getCacheStats() {
+  const lookups = stats.hits + stats.stale_hits + stats.misses;
+  return {
+    entries: cache.size,
+    bytes: totalBytes,
+    max_entries: limits.maxEntries,
+    max_bytes: limits.maxBytes,
+    inflight: inflight.size,
+    ...stats,
+    hit_ratio: lookups ? Number(((stats.hits + stats.stale_hits) / lookups).toFixed(4)) : null
+  };
 }
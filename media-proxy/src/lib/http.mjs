@@ -1,18 +1,41 @@
 import fetch from 'node-fetch';
 
+const upstreamObservers = [];
+
+export function onUpstreamCall(observer) {
+  upstreamObservers.push(observer);
+}
+
+// Reports one finished upstream call ({ url | backend, ok, status, durationMs, error }) to observers.
+export function observeUpstream(call) {
+  for (const observer of upstreamObservers) {
+    try {
+      observer(call);
+    } catch {}
+  }
+}
+
 export async function safeFetchJson(url, opts = {}, timeout = 1500) {
   const ac = new AbortController();
   const t = setTimeout(() => ac.abort(), timeout);
+  const startedAt = Date.now();
+  let result;
   try {
     const r = await fetch(url, { ...opts, signal: ac.signal });
-    if (!r.ok) return { ok: false, error: `${r.status} ${r.statusText}` };
-    const j = await r.json();
-    return { ok: true, json: j };
+    if (!r.ok) {
+      result = { ok: false, status: r.status, error: `${r.status} ${r.statusText}` };
+      return result;
+    }
+    const j = r.status === 204 ? null : await r.json();
+    result = { ok: true, status: r.status, json: j };
+    return result;
   } catch (e) {
     const msg = e.name === 'AbortError' ? `timeout after ${timeout}ms` : e.message;
-    return { ok: false, error: msg };
+    result = { ok: false, error: msg };
+    return result;
   } finally {
     clearTimeout(t);
+    observeUpstream({ url, ok: result?.ok, status: result?.status, durationMs: Date.now() - startedAt, error: result?.error });
   }
 }
 
@@ -0,0 +1,144 @@
+import { createHash, randomBytes } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { logger } from './logger.mjs';
+
+// Bounded on-disk image store. Each entry is `<hash>.bin` (bytes) plus `<hash>.json`
+// (metadata); the in-memory index is a Map kept in least-recently-used order.
+export function createImageCache({ dir, maxBytes = 256 * 1024 * 1024 } = {}) {
+  const index = new Map();
+  const stats = { hits: 0, misses: 0, stale_served: 0, evictions: 0, write_errors: 0 };
+  let totalBytes = 0;
+  let enabled = Boolean(dir);
+
+  const fileFor = (hash, ext) => path.join(dir, `${hash}.${ext}`);
+  const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+  function loadIndex() {
+    if (!enabled) return;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const entries = [];
+      for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+          const meta = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+          const size = fs.statSync(fileFor(meta.hash, 'bin')).size;
+          entries.push({ ...meta, size });
+        } catch {
+          continue;
+        }
+      }
+      entries.sort((a, b) => (a.last_access || 0) - (b.last_access || 0));
+      for (const entry of entries) {
+        index.set(entry.key, entry);
+        totalBytes += entry.size;
+      }
+      evict();
+    } catch (error) {
+      logger.error('image cache disabled', { error: error.message });
+      enabled = false;
+    }
+  }
+
+  function removeFiles(entry) {
+    fs.promises.unlink(fileFor(entry.hash, 'bin')).catch(() => {});
+    fs.promises.unlink(fileFor(entry.hash, 'json')).catch(() => {});
+  }
+
+  function evict() {
+    for (const [key, entry] of index) {
+      if (totalBytes <= maxBytes) break;
+      index.delete(key);
+      totalBytes -= entry.size;
+      stats.evictions++;
+      removeFiles(entry);
+    }
+  }
+
+  function touch(entry) {
+    entry.last_access = Date.now();
+    index.delete(entry.key);
+    index.set(entry.key, entry);
+  }
+
+  async function get(key) {
+    if (!enabled) return null;
+    const entry = index.get(key);
+    if (!entry) {
+      stats.misses++;
+      return null;
+    }
+    try {
+      const body = await fs.promises.readFile(fileFor(entry.hash, 'bin'));
+      touch(entry);
+      stats.hits++;
+      return { ...entry, body };
+    } catch {
+      index.delete(key);
+      totalBytes -= entry.size;
+      stats.misses++;
+      return null;
+    }
+  }
+
+  function recordStaleServed() {
+    stats.stale_served++;
+  }
+
+  async function set(key, { body, contentType }) {
+    const etag = `"${createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`;
+    const entry = {
+      key,
+      hash: hashKey(key),
+      etag,
+      content_type: contentType,
+      size: body.length,
+      stored_at: Date.now(),
+      last_access: Date.now()
+    };
+    if (!enabled || body.length > maxBytes) return entry;
+
+    try {
+      // Concurrent writes of one key each get their own temp file; the last rename wins.
+      const tmp = `${fileFor(entry.hash, 'bin')}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`;
+      await fs.promises.writeFile(tmp, body);
+      await fs.promises.rename(tmp, fileFor(entry.hash, 'bin'));
+      await fs.promises.writeFile(fileFor(entry.hash, 'json'), JSON.stringify(entry));
+    } catch (error) {
+      stats.write_errors++;
+      logger.error('image cache write failed', { error: error.message });
+      return entry;
+    }
+
+    const previous = index.get(key);
+    if (previous) totalBytes -= previous.size;
+    index.delete(key);
+    index.set(key, entry);
+    totalBytes += entry.size;
+    evict();
+    return entry;
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.misses;
+    return {
+      enabled,
+      dir: dir || null,
+      entries: index.size,
+      bytes: totalBytes,
+      max_bytes: maxBytes,
+      ...stats,
+      hit_ratio: lookups ? Number((stats.hits / lookups).toFixed(4)) : null
+    };
+  }
+
+  loadIndex();
+
+  return {
+    get,
+    set,
+    recordStaleServed,
+    getStats
+  };
+}
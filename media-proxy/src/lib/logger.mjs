@@ -0,0 +1,88 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+// One JSON object per line on stdout (stderr for warn/error). Anything logged while a request
+// is being handled picks up its request id from the async context.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const requestContext = new AsyncLocalStorage();
+let threshold = LEVELS.info;
+
+export function configureLogger({ level } = {}) {
+  const normalized = String(level || '').trim().toLowerCase();
+  if (normalized in LEVELS) threshold = LEVELS[normalized];
+}
+
+export function getRequestContext() {
+  return requestContext.getStore() || null;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+  const context = requestContext.getStore();
+  const line = {
+    ts: new Date().toISOString(),
+    level,
+    msg,
+    ...(context?.requestId ? { request_id: context.requestId } : {}),
+    ...fields
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(line)}\n`);
+}
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    return null;
+  }
+}
+
+// Observer for lib/http.mjs upstream calls. Query strings are dropped because some
+// upstreams (TMDB) take their API key there.
+export function logUpstreamCall(call) {
+  const fields = {
+    backend: call.backend || null,
+    url: call.url ? redactUrl(call.url) : null,
+    status: call.status ?? null,
+    duration_ms: call.durationMs ?? null
+  };
+  if (call.ok) logger.debug('upstream call', fields);
+  else logger.warn('upstream call failed', { ...fields, error: call.error || null });
+}
+
+// Assigns a request id (honouring a well-formed X-Request-Id from Caddy), echoes it in the
+// response and writes one access-log line when the response closes (so SSE streams are logged
+// when the client disconnects).
+export function requestLogger() {
+  return (req, res, next) => {
+    const incoming = String(req.headers['x-request-id'] || '').trim();
+    const requestId = /^[\w.:-]{1,128}$/.test(incoming) ? incoming : randomUUID();
+    const context = { requestId, cache: null };
+    const startedAt = process.hrtime.bigint();
+
+    res.set('X-Request-Id', requestId);
+    res.on('close', () => {
+      const xCache = res.get('X-Cache');
+      write('info', 'request', {
+        request_id: requestId,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+        status: res.statusCode,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+        cache: context.cache || (xCache ? xCache.toLowerCase() : null)
+      });
+    });
+
+    requestContext.run(context, next);
+  };
+}
@@ -0,0 +1,94 @@
+// Minimal Prometheus text-format registry. Metrics are process-wide, like the response cache;
+// registering an existing name returns the existing metric.
+const registry = new Map();
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels = {}) {
+  const parts = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function seriesKey(labelNames, labels = {}) {
+  return labelNames.map((name) => String(labels[name] ?? '')).join('\u0000');
+}
+
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+}
+
+function register(name, metric) {
+  if (!registry.has(name)) registry.set(name, metric);
+  return registry.get(name);
+}
+
+export function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+  return register(name, {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      current.value += value;
+      series.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+      return lines;
+    }
+  });
+}
+
+export function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = new Map();
+  return register(name, {
+    observe(labels = {}, seconds = 0) {
+      const key = seriesKey(labelNames, labels);
+      let current = series.get(key);
+      if (!current) {
+        current = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, current);
+      }
+      buckets.forEach((bound, i) => {
+        if (seconds <= bound) current.counts[i]++;
+      });
+      current.sum += seconds;
+      current.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  });
+}
+
+// Values read at scrape time, e.g. counters kept by another module.
+export function createCollector({ name, help, type = 'gauge', collect }) {
+  return register(name, {
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+      for (const { labels, value } of collect()) {
+        if (value !== null && value !== undefined && Number.isFinite(Number(value))) lines.push(`${name}${formatLabels(labels)} ${Number(value)}`);
+      }
+      return lines;
+    }
+  });
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) lines.push(...metric.render());
+  return `${lines.join('\n')}\n`;
+}
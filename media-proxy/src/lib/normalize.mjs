@@ -4,3 +4,34 @@ export function normalizeKey(value) {
     .replace(/[^a-z0-9]+/g, ' ')
     .trim();
 }
+
+export function parsePositiveInt(value, fallback, { min = 1, max = 100 } = {}) {
+  const parsed = Number.parseInt(String(value ?? ''), 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(Math.max(parsed, min), max);
+}
+
+export function normalizeBoolean(value, fallback = false) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const normalized = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'y', 'on'].includes(normalized)) return true;
+  if (['0', 'false', 'no', 'n', 'off'].includes(normalized)) return false;
+  return fallback;
+}
+
+export function sortKeyFromTitle(value) {
+  const s = String(value || '').trim().toLowerCase();
+  return s.replace(/^(the|a|an)\s+/, '');
+}
+
+export function normalizeRuntimeTicks(ticks) {
+  if (!Number.isFinite(Number(ticks))) return null;
+  return Math.round(Number(ticks) / 10_000_000 / 60);
+}
+
+export function normalizeDateMs(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  const ms = date.getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
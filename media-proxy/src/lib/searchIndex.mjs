@@ -0,0 +1,132 @@
+import { normalizeKey } from './normalize.mjs';
+
+// Leading words a query may leave out ("matrix" for "The Matrix").
+const ARTICLES = new Set(['the', 'a', 'an']);
+const FUZZY_MIN_SIMILARITY = 0.4;
+const TITLE_MIN_SIMILARITY = 0.5;
+
+// normalizeKey plus accent stripping and `&` as "and", so "Amélie" and "amelie" fold together.
+export function foldText(value) {
+  return normalizeKey(String(value || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/&/g, ' and '));
+}
+
+function tokensOf(folded) {
+  return folded ? folded.split(' ').filter(Boolean) : [];
+}
+
+function trigrams(text) {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i += 1) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+// Dice coefficient over trigram sets.
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const gram of a) if (b.has(gram)) shared += 1;
+  return (2 * shared) / (a.size + b.size);
+}
+
+function titleForms(title) {
+  const folded = foldText(title);
+  const tokens = tokensOf(folded);
+  const withoutArticle = tokens.length > 1 && ARTICLES.has(tokens[0]) ? tokens.slice(1) : tokens;
+  const compact = withoutArticle.join('');
+  return { tokens, compact, grams: trigrams(compact) };
+}
+
+// Builds an in-memory index over normalized movies: each title (and original title) is kept as
+// folded tokens, a compact form without spaces or leading article ("spiderman" for
+// "Spider-Man"), and trigrams of that compact form for typo tolerance.
+export function buildSearchIndex(items) {
+  const docs = [];
+  const byGram = new Map();
+  for (const item of items) {
+    const titles = [...new Set([item.title, item.original_title].filter(Boolean))];
+    if (!titles.length) continue;
+    const forms = titles.map(titleForms);
+    const tokens = new Set(forms.flatMap((form) => form.tokens));
+    const doc = { item, forms, tokens: [...tokens], tokenGrams: new Map([...tokens].map((token) => [token, trigrams(token)])) };
+    const index = docs.push(doc) - 1;
+    for (const form of forms) {
+      for (const gram of form.grams) {
+        if (!byGram.has(gram)) byGram.set(gram, new Set());
+        byGram.get(gram).add(index);
+      }
+    }
+  }
+  return { docs, byGram, size: docs.length };
+}
+
+// A 4-digit year in a multi-word query is a hint ("alien 1979"), not a title word.
+function parseQuery(query) {
+  const tokens = tokensOf(foldText(query));
+  let year = null;
+  const words = tokens.filter((token) => {
+    if (year === null && tokens.length > 1 && /^(19|20)\d\d$/.test(token)) {
+      year = Number(token);
+      return false;
+    }
+    return true;
+  });
+  const meaningful = words.length > 1 ? words.filter((word) => !ARTICLES.has(word)) : words;
+  const compact = meaningful.join('');
+  return { words: meaningful, compact, grams: trigrams(compact), year };
+}
+
+function scoreWord(word, doc) {
+  if (doc.tokens.includes(word)) return 10;
+  if (word.length >= 2 && doc.tokens.some((token) => token.startsWith(word))) return 7;
+  const grams = trigrams(word);
+  let best = 0;
+  for (const tokenGrams of doc.tokenGrams.values()) best = Math.max(best, similarity(grams, tokenGrams));
+  return best >= FUZZY_MIN_SIMILARITY ? 6 * best : 0;
+}
+
+function scoreDoc(parsed, doc) {
+  let titleScore = 0;
+  let titleSimilarity = 0;
+  for (const form of doc.forms) {
+    if (form.compact === parsed.compact) titleScore = Math.max(titleScore, 100);
+    else if (form.compact.startsWith(parsed.compact)) titleScore = Math.max(titleScore, 60);
+    titleSimilarity = Math.max(titleSimilarity, similarity(parsed.grams, form.grams));
+  }
+
+  const wordScores = parsed.words.map((word) => scoreWord(word, doc));
+  const allWordsMatch = wordScores.every((score) => score > 0);
+  if (!titleScore && !allWordsMatch && titleSimilarity < TITLE_MIN_SIMILARITY) return 0;
+
+  let score = titleScore + (30 * titleSimilarity) + wordScores.reduce((sum, value) => sum + value, 0);
+  if (parsed.year !== null && Number.isFinite(doc.item.year)) {
+    const off = Math.abs(doc.item.year - parsed.year);
+    if (off === 0) score += 25;
+    else if (off === 1) score += 8;
+  }
+  return score;
+}
+
+// Items matching `query`, most relevant first. Candidates are the titles sharing a trigram with
+// the query; each is scored on exact/prefix title match, per-word exact/prefix/fuzzy match,
+// overall trigram similarity and the year hint.
+export function searchIndex(index, query, limit = 20) {
+  const parsed = parseQuery(query);
+  if (!parsed.compact) return [];
+
+  const candidates = new Set();
+  for (const gram of parsed.grams) {
+    for (const docIndex of index.byGram.get(gram) || []) candidates.add(docIndex);
+  }
+
+  const scored = [];
+  for (const docIndex of candidates) {
+    const doc = index.docs[docIndex];
+    const score = scoreDoc(parsed, doc);
+    if (score > 0) scored.push({ item: doc.item, score });
+  }
+  return scored
+    .sort((a, b) => b.score - a.score || (b.item.year || 0) - (a.item.year || 0))
+    .slice(0, limit)
+    .map((entry) => entry.item);
+}
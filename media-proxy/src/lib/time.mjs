@@ -71,19 +71,184 @@ export function getWeeklyBucketForDate(date, timezone) {
   return `${parts.weekday}_${block}`;
 }
 
-export function buildMonthlyBucketMap(timezone) {
+// Maps local `YYYY-MM-DD` dates of the last 30 days (today last) to `day_1..day_30`.
+export function buildMonthlyBucketMap(timezone, nowMs = Date.now()) {
   const map = new Map();
-  const dateFormatter = new Intl.DateTimeFormat('en-CA', {
-    timeZone: timezone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit'
+  lastLocalDays(30, timezone, nowMs).forEach((bucket, index) => {
+    map.set(formatZonedIso(bucket.start, timezone).slice(0, 10), `day_${index + 1}`);
   });
-  const now = Date.now();
-  const dayMs = 24 * 60 * 60 * 1000;
-  for (let i = 1; i <= 30; i++) {
-    const date = new Date(now - ((30 - i) * dayMs));
-    map.set(dateFormatter.format(date), `day_${i}`);
-  }
   return map;
 }
+
+// ---------------------------------------------------------------------------------------------
+// Bucketing engine. Bucket boundaries are computed on the local wall clock and converted back
+// to instants, never by adding fixed multiples of 24h, so a DST day is one 23h or 25h bucket
+// instead of a skipped or doubled date. Hour buckets step in real hours, so the repeated hour
+// on a fall-back night is two buckets with different offsets.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+export const BUCKET_GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+const zonedFormatters = new Map();
+
+function zonedFormatter(timezone) {
+  if (!zonedFormatters.has(timezone)) {
+    zonedFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return zonedFormatters.get(timezone);
+}
+
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    zonedFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function getZonedParts(ms, timezone) {
+  const parts = zonedFormatter(timezone).formatToParts(new Date(ms));
+  const read = (type) => parts.find((p) => p.type === type)?.value || '';
+  return {
+    year: Number(read('year')),
+    month: Number(read('month')),
+    day: Number(read('day')),
+    hour: Number(read('hour')) % 24,
+    minute: Number(read('minute')),
+    second: Number(read('second')),
+    weekday: read('weekday')
+  };
+}
+
+function wallClockMs(parts) {
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour || 0, parts.minute || 0, parts.second || 0);
+}
+
+// Local wall-clock time minus UTC at the given instant.
+export function getTimezoneOffsetMs(ms, timezone) {
+  const wholeSecond = Math.floor(ms / 1000) * 1000;
+  return wallClockMs(getZonedParts(wholeSecond, timezone)) - wholeSecond;
+}
+
+// Converts a local wall-clock time to an instant. An ambiguous time (fall-back) resolves to its
+// first occurrence; a time inside a spring-forward gap resolves to the same distance past the
+// gap start, so a midnight that does not exist becomes the moment the day actually begins.
+export function zonedTimeToUtc(parts, timezone) {
+  const wall = wallClockMs(parts);
+  const candidates = [...new Set([
+    wall - getTimezoneOffsetMs(wall - DAY_MS, timezone),
+    wall - getTimezoneOffsetMs(wall + DAY_MS, timezone)
+  ])].sort((a, b) => a - b);
+
+  for (const candidate of candidates) {
+    if (wallClockMs(getZonedParts(candidate, timezone)) === wall) return candidate;
+  }
+  return candidates[candidates.length - 1];
+}
+
+function addCalendarDays(parts, days) {
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+export function floorToBucket(ms, granularity, timezone) {
+  if (granularity === 'hour') {
+    const local = ms + getTimezoneOffsetMs(ms, timezone);
+    return ms - (((local % HOUR_MS) + HOUR_MS) % HOUR_MS);
+  }
+
+  const parts = getZonedParts(ms, timezone);
+  if (granularity === 'day') return zonedTimeToUtc({ year: parts.year, month: parts.month, day: parts.day }, timezone);
+  if (granularity === 'week') return zonedTimeToUtc(addCalendarDays(parts, -WEEKDAYS.indexOf(parts.weekday)), timezone);
+  if (granularity === 'month') return zonedTimeToUtc({ year: parts.year, month: parts.month, day: 1 }, timezone);
+  throw new Error(`unknown granularity: ${granularity}`);
+}
+
+export function nextBucketStart(startMs, granularity, timezone) {
+  if (granularity === 'hour') return startMs + HOUR_MS;
+
+  const parts = getZonedParts(startMs, timezone);
+  if (granularity === 'day') return zonedTimeToUtc(addCalendarDays(parts, 1), timezone);
+  if (granularity === 'week') return zonedTimeToUtc(addCalendarDays(parts, 7), timezone);
+  if (granularity === 'month') {
+    const nextMonth = new Date(Date.UTC(parts.year, parts.month, 1));
+    return zonedTimeToUtc({ year: nextMonth.getUTCFullYear(), month: nextMonth.getUTCMonth() + 1, day: 1 }, timezone);
+  }
+  throw new Error(`unknown granularity: ${granularity}`);
+}
+
+// `2026-03-08T03:00:00-07:00` for the given instant in the given zone.
+export function formatZonedIso(ms, timezone) {
+  const parts = getZonedParts(ms, timezone);
+  const offsetMinutes = Math.round(getTimezoneOffsetMs(ms, timezone) / 60000);
+  const pad = (value, length = 2) => String(Math.abs(value)).padStart(length, '0');
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  return `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`
+    + `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+}
+
+// Consecutive `{ start, end }` buckets (epoch ms, end exclusive) covering [fromMs, toMs), the first
+// one floored to its local boundary. Returns null when more than `maxBuckets` would be needed.
+export function buildTimeBuckets({ fromMs, toMs, granularity, timezone, maxBuckets = 2000 }) {
+  const buckets = [];
+  let start = floorToBucket(fromMs, granularity, timezone);
+  while (start < toMs) {
+    if (buckets.length >= maxBuckets) return null;
+    const end = nextBucketStart(start, granularity, timezone);
+    buckets.push({ start, end });
+    start = end;
+  }
+  return buckets;
+}
+
+export function findBucketIndex(buckets, ms) {
+  let low = 0;
+  let high = buckets.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (ms < buckets[mid].start) high = mid - 1;
+    else if (ms >= buckets[mid].end) low = mid + 1;
+    else return mid;
+  }
+  return -1;
+}
+
+// The last `count` local calendar days, today included.
+export function lastLocalDays(count, timezone, nowMs = Date.now()) {
+  const today = floorToBucket(nowMs, 'day', timezone);
+  const first = zonedTimeToUtc(addCalendarDays(getZonedParts(today, timezone), -(count - 1)), timezone);
+  return buildTimeBuckets({ fromMs: first, toMs: nowMs + 1, granularity: 'day', timezone, maxBuckets: count + 1 });
+}
+
+// `YYYY-MM-DD` is local midnight in `timezone` (or the following midnight with `endOfDay`, making
+// the date inclusive as a range end). Anything else must be an ISO timestamp with `Z` or an offset.
+export function parseZonedDate(value, timezone, { endOfDay = false } = {}) {
+  const raw = String(value ?? '').trim();
+  const dateOnly = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) {
+    const [year, month, day] = dateOnly.slice(1).map(Number);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+    const start = zonedTimeToUtc({ year, month, day }, timezone);
+    return endOfDay ? nextBucketStart(start, 'day', timezone) : start;
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/i.test(raw)) return null;
+  const ms = Date.parse(raw);
+  return Number.isFinite(ms) ? ms : null;
+}
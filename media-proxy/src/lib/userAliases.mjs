@@ -0,0 +1,45 @@
+// Jellyfin returns user ids with dashes from some endpoints and without from others.
+export function normalizeUserId(userId) {
+  return String(userId || '').replace(/-/g, '').trim().toLowerCase();
+}
+
+// Carries the Jellyfin user id on payload items that only show a public nickname, or an array of
+// ids on entries that aggregate several users' plays. Symbol keys are skipped by JSON.stringify,
+// so the ids are available to redaction but never serialized.
+export const PRIVATE_USER_ID = Symbol('privateUserId');
+
+// Maps Jellyfin user ids to public nicknames from `config.users.aliases`. Users without an alias,
+// or aliased to `hidden`, have no public name.
+export function createUserAliases(aliases = {}) {
+  const byUserId = new Map(
+    Object.entries(aliases).map(([userId, alias]) => [normalizeUserId(userId), String(alias).trim()])
+  );
+
+  function publicName(userId) {
+    const alias = byUserId.get(normalizeUserId(userId));
+    if (!alias || alias.toLowerCase() === 'hidden') return null;
+    return alias;
+  }
+
+  // Case-insensitive lookup of a public nickname, returning it as configured.
+  function findAlias(name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    if (!wanted || wanted === 'hidden') return null;
+    for (const alias of byUserId.values()) {
+      if (alias.toLowerCase() === wanted) return alias;
+    }
+    return null;
+  }
+
+  // Normalized ids of every user sharing a public nickname, for filtering stored plays.
+  function userIdsFor(alias) {
+    return [...byUserId].filter(([, name]) => name === alias).map(([userId]) => userId);
+  }
+
+  return {
+    configured: byUserId.size > 0,
+    publicName,
+    findAlias,
+    userIdsFor
+  };
+}
@@ -0,0 +1,408 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { normalizeKey } from '../lib/normalize.mjs';
+import { normalizeUserId } from '../lib/userAliases.mjs';
+
+// Higher rank wins when two sources report the same play: Playback Reporting has the real start
+// time and duration, the activity log has start/stop times, LastPlayedDate only the latest play.
+const SOURCE_RANK = {
+  'playback-reporting': 3,
+  'activity-log': 2,
+  'user-data': 1
+};
+// Reports of one play from different sources (start vs stop entries, LastPlayedDate) land within
+// this window of each other, widened by the play's duration when it is known to be longer.
+const RECONCILE_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+const PLAY_COLUMNS = [
+  'item_id',
+  'name_key',
+  'item_name',
+  'item_type',
+  'series_id',
+  'series_name',
+  'season_name',
+  'season_number',
+  'episode_number',
+  'year',
+  'provider_ids',
+  'primary_image_tag',
+  'series_primary_image_tag',
+  'runtime_ms',
+  'user_id',
+  'watched_at',
+  'duration_ms',
+  'source',
+  'sources',
+  'hydrated_at'
+];
+
+const METADATA_COLUMNS = PLAY_COLUMNS.slice(0, PLAY_COLUMNS.indexOf('runtime_ms') + 1);
+
+const MIGRATIONS = [
+  `CREATE TABLE plays (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_id TEXT,
+    name_key TEXT,
+    item_name TEXT,
+    item_type TEXT,
+    series_id TEXT,
+    series_name TEXT,
+    season_name TEXT,
+    season_number INTEGER,
+    episode_number INTEGER,
+    year INTEGER,
+    provider_ids TEXT,
+    primary_image_tag TEXT,
+    series_primary_image_tag TEXT,
+    runtime_ms INTEGER,
+    user_id TEXT,
+    watched_at INTEGER NOT NULL,
+    duration_ms INTEGER,
+    source TEXT NOT NULL,
+    sources TEXT NOT NULL,
+    hydrated_at INTEGER,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX plays_watched_at ON plays (watched_at);
+  CREATE INDEX plays_item ON plays (item_id, watched_at);
+  CREATE INDEX plays_name_key ON plays (name_key, watched_at);
+  CREATE TABLE ingest_cursors (
+    source TEXT PRIMARY KEY,
+    cursor TEXT,
+    last_run_at INTEGER,
+    last_count INTEGER,
+    last_error TEXT
+  );
+  -- Every report written, per source, so a re-read is recognised even when another source's
+  -- timestamp won the merge.
+  CREATE TABLE play_reports (
+    source TEXT NOT NULL,
+    report_key TEXT NOT NULL,
+    watched_at INTEGER NOT NULL,
+    play_id INTEGER NOT NULL,
+    PRIMARY KEY (source, report_key, watched_at)
+  );`
+];
+
+function itemNameKey(play) {
+  const name = [play.series_name, play.item_name].filter(Boolean).join(' ');
+  return normalizeKey(name) || null;
+}
+
+function mergeSources(existing, incoming) {
+  return [...new Set([...String(existing || '').split(','), incoming].filter(Boolean))].sort().join(',');
+}
+
+// SQLite store owned by media-proxy for reconciled watch history. Each play is reconciled against
+// existing rows when it is written, so reads never dedupe.
+export function createHistoryRepository(config) {
+  const dbPath = config.history.dbPath;
+  let db = null;
+  let statements = null;
+
+  function migrate(database) {
+    const version = database.pragma('user_version', { simple: true });
+    for (let index = version; index < MIGRATIONS.length; index++) {
+      database.transaction(() => {
+        database.exec(MIGRATIONS[index]);
+        database.pragma(`user_version = ${index + 1}`);
+      })();
+    }
+  }
+
+  function prepare(database) {
+    const assignments = PLAY_COLUMNS.map((column) => `${column} = @${column}`).join(', ');
+    return {
+      // A report only merges into a play its source has not reported yet, or, for an
+      // activity-log stop, into the start it closes. Two plays from one source (a rewatch, a
+      // resume hours later) stay separate rows.
+      findMatch: database.prepare(`SELECT * FROM plays
+        WHERE watched_at BETWEEN @from AND @to
+          AND ((@item_id IS NOT NULL AND item_id = @item_id)
+            OR ((@item_id IS NULL OR item_id IS NULL) AND @name_key IS NOT NULL AND name_key = @name_key))
+          AND (@user_id IS NULL OR user_id IS NULL OR user_id = @user_id)
+          AND ((',' || sources || ',') NOT LIKE ('%,' || @source || ',%')
+            OR (@is_stop = 1 AND watched_at <= @watched_at))
+        ORDER BY (@is_stop = 1 AND watched_at > @watched_at), ABS(watched_at - @watched_at)
+        LIMIT 1`),
+      findReport: database.prepare(`SELECT plays.* FROM play_reports
+        JOIN plays ON plays.id = play_reports.play_id
+        WHERE play_reports.source = @source AND report_key = @report_key AND play_reports.watched_at = @watched_at`),
+      insertReport: database.prepare(`INSERT OR IGNORE INTO play_reports (source, report_key, watched_at, play_id)
+        VALUES (@source, @report_key, @watched_at, @play_id)`),
+      insert: database.prepare(`INSERT INTO plays (${PLAY_COLUMNS.join(', ')}, created_at, updated_at)
+        VALUES (${PLAY_COLUMNS.map((column) => `@${column}`).join(', ')}, @now, @now)`),
+      update: database.prepare(`UPDATE plays SET ${assignments}, updated_at = @now WHERE id = @id`),
+      eventsSince: database.prepare(`SELECT id, item_id, item_name, series_name, item_type, user_id, watched_at, duration_ms, runtime_ms, source
+        FROM plays WHERE watched_at >= ? ORDER BY watched_at ASC`),
+      range: database.prepare(`SELECT * FROM plays
+        WHERE watched_at < @to AND (watched_at > @after_watched_at OR (watched_at = @after_watched_at AND id > @after_id))
+          AND (@type IS NULL OR item_type = @type)
+        ORDER BY watched_at ASC, id ASC
+        LIMIT @limit`),
+      itemIdsBefore: database.prepare(`SELECT DISTINCT item_id FROM plays
+        WHERE item_id IS NOT NULL AND watched_at < @before AND (@type IS NULL OR item_type = @type)`),
+      unhydrated: database.prepare(`SELECT DISTINCT item_id FROM plays
+        WHERE item_id IS NOT NULL AND hydrated_at IS NULL LIMIT ?`),
+      hydrate: database.prepare(`UPDATE plays SET
+          item_name = COALESCE(@item_name, item_name),
+          name_key = COALESCE(@name_key, name_key),
+          item_type = COALESCE(@item_type, item_type),
+          series_id = COALESCE(@series_id, series_id),
+          series_name = COALESCE(@series_name, series_name),
+          season_name = COALESCE(@season_name, season_name),
+          season_number = COALESCE(@season_number, season_number),
+          episode_number = COALESCE(@episode_number, episode_number),
+          year = COALESCE(@year, year),
+          provider_ids = COALESCE(@provider_ids, provider_ids),
+          primary_image_tag = COALESCE(@primary_image_tag, primary_image_tag),
+          series_primary_image_tag = COALESCE(@series_primary_image_tag, series_primary_image_tag),
+          runtime_ms = COALESCE(@runtime_ms, runtime_ms),
+          hydrated_at = @now
+        WHERE item_id = @item_id`),
+      getCursor: database.prepare('SELECT * FROM ingest_cursors WHERE source = ?'),
+      setCursor: database.prepare(`INSERT INTO ingest_cursors (source, cursor, last_run_at, last_count, last_error)
+        VALUES (@source, @cursor, @last_run_at, @last_count, @last_error)
+        ON CONFLICT(source) DO UPDATE SET
+          cursor = COALESCE(excluded.cursor, cursor),
+          last_run_at = excluded.last_run_at,
+          last_count = excluded.last_count,
+          last_error = excluded.last_error`),
+      cursors: database.prepare('SELECT * FROM ingest_cursors ORDER BY source'),
+      stats: database.prepare('SELECT COUNT(*) AS plays, MIN(watched_at) AS oldest, MAX(watched_at) AS newest FROM plays'),
+      bySource: database.prepare('SELECT source, COUNT(*) AS plays FROM plays GROUP BY source ORDER BY source')
+    };
+  }
+
+  function open() {
+    if (statements) return statements;
+    if (!dbPath) throw new Error('HISTORY_DB_PATH not configured');
+
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    migrate(db);
+    statements = prepare(db);
+    return statements;
+  }
+
+  function toRow(play) {
+    const row = {};
+    for (const column of PLAY_COLUMNS) row[column] = play[column] ?? null;
+    row.user_id = play.user_id ? normalizeUserId(play.user_id) : null;
+    row.item_type = play.item_type ? String(play.item_type).toLowerCase() : null;
+    row.provider_ids = play.provider_ids && typeof play.provider_ids === 'object' ? JSON.stringify(play.provider_ids) : row.provider_ids;
+    row.name_key = itemNameKey(row);
+    row.sources = play.source;
+    return row;
+  }
+
+  function merge(existing, incoming) {
+    const incomingWins = (SOURCE_RANK[incoming.source] || 0) > (SOURCE_RANK[existing.source] || 0);
+    const merged = { ...existing };
+    for (const column of PLAY_COLUMNS) {
+      if (merged[column] === null || merged[column] === undefined) merged[column] = incoming[column];
+    }
+    // Item metadata read from Jellyfin replaces names parsed out of activity log text.
+    if (incoming.hydrated_at) {
+      for (const column of METADATA_COLUMNS) {
+        if (incoming[column] !== null && incoming[column] !== undefined) merged[column] = incoming[column];
+      }
+    }
+    // An activity-log stop closing its own start gives the play a duration.
+    if (incoming.is_stop && merged.duration_ms === null && existing.source === incoming.source && incoming.watched_at > existing.watched_at) {
+      merged.duration_ms = incoming.watched_at - existing.watched_at;
+    }
+    if (incomingWins) {
+      merged.watched_at = incoming.watched_at;
+      merged.duration_ms = incoming.duration_ms ?? existing.duration_ms;
+      merged.source = incoming.source;
+    }
+    merged.sources = mergeSources(existing.sources, incoming.source);
+    return merged;
+  }
+
+  // Writes plays from one source, merging each into a matching row (same item, compatible user,
+  // within the reconcile window, not yet reported by this source) or inserting it. Re-ingesting
+  // the same rows is a no-op. `is_stop` marks activity-log stop entries.
+  function recordPlays(plays) {
+    const prepared = open();
+    const now = Date.now();
+    let inserted = 0;
+    let merged = 0;
+
+    db.transaction(() => {
+      // Oldest first, so the earlier of two reports of one play (start before stop) is kept.
+      for (const play of [...plays].sort((a, b) => a.watched_at - b.watched_at)) {
+        if (!Number.isFinite(play.watched_at)) continue;
+        const row = toRow(play);
+        if (!row.item_id && !row.name_key) continue;
+
+        const report = { source: row.source, report_key: `${row.item_id || row.name_key}|${row.user_id || ''}`, watched_at: row.watched_at };
+        const known = prepared.findReport.get(report);
+        const windowMs = Math.max(RECONCILE_WINDOW_MS, row.duration_ms || 0, row.runtime_ms || 0);
+        const match = known || prepared.findMatch.get({
+          ...row,
+          is_stop: play.is_stop ? 1 : 0,
+          from: row.watched_at - windowMs,
+          to: row.watched_at + windowMs
+        });
+
+        if (!match) {
+          const { lastInsertRowid } = prepared.insert.run({ ...row, now });
+          prepared.insertReport.run({ ...report, play_id: lastInsertRowid });
+          inserted++;
+          continue;
+        }
+
+        if (!known) prepared.insertReport.run({ ...report, play_id: match.id });
+        const next = merge(match, { ...row, is_stop: !known && Boolean(play.is_stop) });
+        const changed = PLAY_COLUMNS.some((column) => next[column] !== match[column]);
+        if (changed) {
+          prepared.update.run({ ...next, id: match.id, now });
+          merged++;
+        }
+      }
+    })();
+
+    return { inserted, merged };
+  }
+
+  function getEventsSince(sinceMs) {
+    return open().eventsSince.all(sinceMs);
+  }
+
+  // Filtered statements are built per filter combination and prepared once.
+  const watchedStatements = new Map();
+
+  function watchedStatement(sql) {
+    if (!watchedStatements.has(sql)) watchedStatements.set(sql, db.prepare(sql));
+    return watchedStatements.get(sql);
+  }
+
+  // Plays newest first, optionally filtered. `type: 'series'` returns each series' latest episode
+  // play once. `before` is the last row of the previous page ({ watched_at, id }).
+  function listWatched({ type = null, sinceMs = null, untilMs = null, userIds = null, before = null, limit = 12, offset = 0 } = {}) {
+    open();
+    const where = [];
+    const params = { limit, offset };
+
+    if (type === 'series') where.push("item_type = 'episode'");
+    else if (type) {
+      where.push('item_type = @type');
+      params.type = type;
+    }
+    if (sinceMs !== null) {
+      where.push('watched_at >= @since');
+      params.since = sinceMs;
+    }
+    if (untilMs !== null) {
+      where.push('watched_at < @until');
+      params.until = untilMs;
+    }
+    if (userIds) {
+      userIds.forEach((userId, index) => { params[`user${index}`] = userId; });
+      where.push(userIds.length ? `user_id IN (${userIds.map((_, index) => `@user${index}`).join(', ')})` : '0');
+    }
+
+    const pageWhere = [];
+    if (before) {
+      pageWhere.push('(watched_at < @before_watched_at OR (watched_at = @before_watched_at AND id < @before_id))');
+      params.before_watched_at = before.watched_at;
+      params.before_id = before.id;
+    }
+
+    const filter = (clauses) => (clauses.length ? `WHERE ${clauses.join(' AND ')}` : '');
+    const page = 'ORDER BY watched_at DESC, id DESC LIMIT @limit OFFSET @offset';
+    // SQLite returns the other columns of the row holding MAX(watched_at) for each group.
+    const sql = type === 'series'
+      ? `SELECT * FROM (SELECT *, MAX(watched_at) FROM plays ${filter(where)} GROUP BY COALESCE(series_id, series_name, name_key)) ${filter(pageWhere)} ${page}`
+      : `SELECT * FROM plays ${filter([...where, ...pageWhere])} ${page}`;
+
+    return watchedStatement(sql).all(params);
+  }
+
+  // One page of plays in [fromMs, toMs), oldest first. Pass the last row back as `after` for the
+  // next page; keyset paging keeps no statement open between pages.
+  function listRange({ fromMs = 0, toMs = Date.now(), type = null, after = null, limit = 500 }) {
+    return open().range.all({
+      to: toMs,
+      after_watched_at: after ? after.watched_at : fromMs - 1,
+      after_id: after ? after.id : Number.MAX_SAFE_INTEGER,
+      type,
+      limit
+    });
+  }
+
+  function getItemIdsWatchedBefore(beforeMs, type = null) {
+    return open().itemIdsBefore.all({ before: beforeMs, type }).map((row) => row.item_id);
+  }
+
+  function getUnhydratedItemIds(limit = 200) {
+    return open().unhydrated.all(limit).map((row) => row.item_id);
+  }
+
+  // `metadata` is null for items Jellyfin no longer has; they are marked so they are not retried.
+  function applyItemMetadata(itemId, metadata) {
+    const row = {
+      item_id: itemId,
+      item_name: null,
+      item_type: null,
+      series_id: null,
+      series_name: null,
+      season_name: null,
+      season_number: null,
+      episode_number: null,
+      year: null,
+      provider_ids: null,
+      primary_image_tag: null,
+      series_primary_image_tag: null,
+      runtime_ms: null,
+      ...(metadata ? toRow({ ...metadata, item_id: itemId }) : {}),
+      now: Date.now()
+    };
+    row.name_key = metadata ? itemNameKey(row) : null;
+    open().hydrate.run(row);
+  }
+
+  function getCursor(source) {
+    return open().getCursor.get(source) || null;
+  }
+
+  function setCursor(source, { cursor = null, count = 0, error = null } = {}) {
+    open().setCursor.run({
+      source,
+      cursor: cursor === null ? null : String(cursor),
+      last_run_at: Date.now(),
+      last_count: count,
+      last_error: error
+    });
+  }
+
+  function getStats() {
+    const prepared = open();
+    return {
+      path: dbPath,
+      ...prepared.stats.get(),
+      by_source: prepared.bySource.all(),
+      cursors: prepared.cursors.all()
+    };
+  }
+
+  return {
+    isConfigured: () => Boolean(dbPath),
+    recordPlays,
+    getEventsSince,
+    listWatched,
+    listRange,
+    getItemIdsWatchedBefore,
+    getUnhydratedItemIds,
+    applyItemMetadata,
+    getCursor,
+    setCursor,
+    getStats
+  };
+}
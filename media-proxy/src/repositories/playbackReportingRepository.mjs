@@ -1,147 +1,246 @@
+import fs from 'node:fs';
 import Database from 'better-sqlite3';
 import { normalizeTimestamp } from '../lib/time.mjs';
+import { observeUpstream } from '../lib/http.mjs';
+import { logger } from '../lib/logger.mjs';
+
+const TABLE_FALLBACKS = ['PlaybackReporting_PlaybackActivity', 'PlaybackActivity'];
+// Column candidates per normalized field, in order of preference.
+const COLUMN_CANDIDATES = {
+  played_at: ['DateCreated', 'DatePlayed', 'PlaybackStartDate', 'StartDate', 'Timestamp', 'EventTime'],
+  item_id: ['ItemId', 'ItemID', 'InternalItemId', 'ItemGuid', 'Guid'],
+  item_name: ['ItemName', 'Name', 'Title'],
+  item_type: ['ItemType', 'Type'],
+  user_id: ['UserId', 'UserID', 'UserInternalId'],
+  user_name: ['UserName', 'Username'],
+  client_name: ['ClientName', 'AppName', 'ApplicationName'],
+  device_name: ['DeviceName', 'Device', 'DeviceId', 'DeviceID'],
+  // Playback Reporting stores PlayDuration in seconds.
+  play_duration: ['PlayDuration', 'PlaybackDuration', 'Duration']
+};
+
+// Reports each repository call as a `playback_db` upstream call for metrics.
+function timed(fn) {
+  return (...args) => {
+    const startedAt = Date.now();
+    try {
+      const result = fn(...args);
+      observeUpstream({ backend: 'playback_db', ok: true, durationMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      observeUpstream({ backend: 'playback_db', ok: false, durationMs: Date.now() - startedAt, error: error.message });
+      throw error;
+    }
+  };
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// How the played-at column stores time decides how a cutoff is passed to SQL.
+function detectTimeFormat(sample) {
+  if (sample === null || sample === undefined) return 'text';
+  if (typeof sample !== 'number' && typeof sample !== 'bigint') return 'text';
+  const value = Number(sample);
+  if (value > 1000000000000000) return 'ticks';
+  if (value > 1000000000000) return 'unix_ms';
+  return 'unix_s';
+}
+
+function cutoffParam(ms, format) {
+  if (format === 'ticks') return (ms * 10000) + 621355968000000000;
+  if (format === 'unix_ms') return ms;
+  if (format === 'unix_s') return Math.floor(ms / 1000);
+  // Playback Reporting writes `YYYY-MM-DD HH:MM:SS.fffffff`, which sorts as text.
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function normalizeRow(row) {
+  const playedAt = normalizeTimestamp(row.played_at);
+  if (!playedAt) return null;
+  const durationSeconds = row.play_duration === null || row.play_duration === undefined ? NaN : Number(row.play_duration);
+  return {
+    item_id: row.item_id ? String(row.item_id) : null,
+    item_name: row.item_name ? String(row.item_name) : null,
+    item_type: row.item_type ? String(row.item_type) : null,
+    played_at: playedAt,
+    user_id: row.user_id ? String(row.user_id) : null,
+    user_name: row.user_name ? String(row.user_name) : null,
+    client_name: row.client_name ? String(row.client_name) : null,
+    device_name: row.device_name ? String(row.device_name) : null,
+    duration_ms: Number.isFinite(durationSeconds) && durationSeconds >= 0 ? Math.round(durationSeconds * 1000) : null
+  };
+}
 
+// Keeps one read-only connection to the Playback Reporting plugin DB. The table and column layout
+// is detected once and re-detected only when the file is replaced or its schema_version changes;
+// queries are prepared statements that filter by date in SQL.
 export function createPlaybackReportingRepository(config) {
   const dbPath = config.jellyfin.dbPath;
+  let connection = null;
+  let lastError = null;
 
-  function openDatabase() {
-    if (!dbPath) {
-      throw new Error('JELLYFIN_DB_PATH not configured');
-    }
+  function fileIdentity() {
+    const stat = fs.statSync(dbPath);
+    return `${stat.dev}:${stat.ino}`;
+  }
 
-    try {
-      return new Database(dbPath, { readonly: true });
-    } catch (error) {
-      throw new Error(`Failed to open Jellyfin database: ${error.message}`);
+  function detectSchema(db) {
+    const discovered = db.prepare(
+      "SELECT name FROM sqlite_master WHERE type='table' AND name LIKE '%playback%activity%' ORDER BY name"
+    ).all().map((r) => r.name);
+    const tableNames = [...new Set([...discovered, ...TABLE_FALLBACKS])];
+
+    for (const table of tableNames) {
+      const cols = db.prepare(`PRAGMA table_info(${quoteIdentifier(table)})`).all().map((c) => c.name);
+      if (!cols.length) continue;
+
+      const columns = {};
+      for (const [field, candidates] of Object.entries(COLUMN_CANDIDATES)) {
+        columns[field] = candidates.find((c) => cols.includes(c)) || null;
+      }
+      if (!columns.played_at) continue;
+
+      const sample = db.prepare(
+        `SELECT ${quoteIdentifier(columns.played_at)} AS value FROM ${quoteIdentifier(table)} WHERE ${quoteIdentifier(columns.played_at)} IS NOT NULL LIMIT 1`
+      ).get();
+
+      return { table, columns, played_at_format: detectTimeFormat(sample?.value) };
     }
+
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all().map((t) => t.name);
+    logger.warn('no playback table found', { tables });
+    return null;
   }
 
-  function getPlaybackEvents(db, daysBack = 30) {
+  function prepareStatements(db, schema) {
+    const table = quoteIdentifier(schema.table);
+    const playedAt = quoteIdentifier(schema.columns.played_at);
+    const select = Object.entries(schema.columns)
+      .map(([field, column]) => (column ? `${quoteIdentifier(column)} AS ${field}` : `NULL AS ${field}`))
+      .join(', ');
+
+    return {
+      recent: db.prepare(`SELECT ${select} FROM ${table} WHERE ${playedAt} IS NOT NULL ORDER BY ${playedAt} DESC LIMIT ?`),
+      since: db.prepare(`SELECT ${select} FROM ${table} WHERE ${playedAt} >= ? ORDER BY ${playedAt} ASC`),
+      count: db.prepare(`SELECT COUNT(*) AS count FROM ${table}`)
+    };
+  }
+
+  function close() {
+    if (!connection) return;
+    try { connection.db.close(); } catch {}
+    connection = null;
+  }
+
+  function connect() {
+    if (!dbPath) throw new Error('JELLYFIN_DB_PATH not configured');
+
+    let identity;
     try {
-      const possibleQueries = [
-        `SELECT DateCreated as timestamp FROM PlaybackReporting_PlaybackActivity WHERE DateCreated >= datetime('now', '-${daysBack} days')`,
-        `SELECT DatePlayed as timestamp FROM PlaybackReporting_PlaybackActivity WHERE DatePlayed >= datetime('now', '-${daysBack} days')`,
-        `SELECT PlaybackReportingId, DateCreated as timestamp FROM PlaybackReporting_PlaybackActivity WHERE DateCreated >= datetime('now', '-${daysBack} days')`,
-        `SELECT DateCreated as timestamp FROM PlaybackActivity WHERE DateCreated >= datetime('now', '-${daysBack} days')`,
-        `SELECT DatePlayed as timestamp FROM PlaybackActivity WHERE DatePlayed >= datetime('now', '-${daysBack} days')`,
-        `SELECT DateCreated as timestamp FROM sqlite_master WHERE type='table' AND name LIKE '%playback%'`
-      ];
-
-      for (const query of possibleQueries) {
-        try {
-          const stmt = db.prepare(query);
-          const rows = stmt.all();
-          if (rows && rows.length > 0) {
-            console.log(`Successfully queried playback data: ${rows.length} events found`);
-            return rows.map(row => ({
-              timestamp: new Date(row.timestamp)
-            })).filter(event => !isNaN(event.timestamp.getTime()));
-          }
-        } catch {
-          continue;
-        }
-      }
+      identity = fileIdentity();
+    } catch (error) {
+      close();
+      lastError = `Failed to open Jellyfin database: ${error.message}`;
+      throw new Error(lastError);
+    }
 
-      const tables = db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all();
-      console.log('Available tables in Jellyfin database:', tables.map(t => t.name));
+    if (connection && connection.identity === identity) {
+      const schemaVersion = connection.db.pragma('schema_version', { simple: true });
+      if (schemaVersion === connection.schemaVersion) return connection;
+      logger.info('playback db schema changed, re-detecting', { schema_version: schemaVersion });
+    } else if (connection) {
+      logger.info('playback db file replaced, reconnecting');
+    }
+    close();
 
-      return [];
+    try {
+      const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+      const schema = detectSchema(db);
+      connection = {
+        db,
+        identity,
+        schema,
+        schemaVersion: db.pragma('schema_version', { simple: true }),
+        statements: schema ? prepareStatements(db, schema) : null,
+        detectedAt: Date.now()
+      };
+      lastError = null;
+      return connection;
     } catch (error) {
-      console.error('Error querying playback events:', error.message);
-      return [];
+      close();
+      lastError = `Failed to open Jellyfin database: ${error.message}`;
+      throw new Error(lastError);
     }
   }
 
-  function getRecentPlaybackRows(db, limit = 12) {
-    const fetchLimit = Math.max(limit * 6, 30);
-    const tableCandidates = db.prepare(
-      "SELECT name FROM sqlite_master WHERE type='table' AND (name LIKE '%Playback%Activity%' OR name LIKE '%playback%activity%') ORDER BY name"
-    ).all().map((r) => r.name);
-    const fallbackTableCandidates = ['PlaybackReporting_PlaybackActivity', 'PlaybackActivity'];
-    const tableNames = [...new Set([...tableCandidates, ...fallbackTableCandidates])];
-
-    for (const tableName of tableNames) {
-      try {
-        const cols = db.prepare(`PRAGMA table_info(${tableName})`).all().map((c) => c.name);
-        if (!cols.length) continue;
-
-        const playedCol = ['DateCreated', 'DatePlayed', 'PlaybackStartDate', 'StartDate', 'Timestamp', 'EventTime']
-          .find((c) => cols.includes(c));
-        if (!playedCol) continue;
-
-        const itemIdCol = ['ItemId', 'ItemID', 'InternalItemId', 'ItemGuid', 'Guid']
-          .find((c) => cols.includes(c));
-        const itemNameCol = ['ItemName', 'Name', 'Title']
-          .find((c) => cols.includes(c));
-        const userIdCol = ['UserId', 'UserID', 'UserInternalId']
-          .find((c) => cols.includes(c));
-        const userNameCol = ['UserName', 'Username']
-          .find((c) => cols.includes(c));
-        const clientCol = ['ClientName', 'AppName', 'ApplicationName']
-          .find((c) => cols.includes(c));
-        const deviceCol = ['DeviceName', 'Device', 'DeviceId', 'DeviceID']
-          .find((c) => cols.includes(c));
-
-        const selectItemId = itemIdCol ? `${itemIdCol} as item_id` : `NULL as item_id`;
-        const selectItemName = itemNameCol ? `${itemNameCol} as item_name` : `NULL as item_name`;
-        const selectUserId = userIdCol ? `${userIdCol} as user_id` : `NULL as user_id`;
-        const selectUserName = userNameCol ? `${userNameCol} as user_name` : `NULL as user_name`;
-        const selectClient = clientCol ? `${clientCol} as client_name` : `NULL as client_name`;
-        const selectDevice = deviceCol ? `${deviceCol} as device_name` : `NULL as device_name`;
-        const query = `SELECT ${selectItemId}, ${selectItemName}, ${playedCol} as played_at
-          , ${selectUserId}, ${selectUserName}, ${selectClient}, ${selectDevice}
-          FROM ${tableName}
-          WHERE ${playedCol} IS NOT NULL
-          ORDER BY ${playedCol} DESC
-          LIMIT ${fetchLimit}`;
-
-        const rows = db.prepare(query).all();
-        if (!rows || !rows.length) continue;
-
-        const normalized = rows.map((row) => {
-          const playedAt = normalizeTimestamp(row.played_at);
-          if (!playedAt) return null;
-          return {
-            item_id: row.item_id ? String(row.item_id) : null,
-            item_name: row.item_name ? String(row.item_name) : null,
-            played_at: playedAt,
-            user_id: row.user_id ? String(row.user_id) : null,
-            user_name: row.user_name ? String(row.user_name) : null,
-            client_name: row.client_name ? String(row.client_name) : null,
-            device_name: row.device_name ? String(row.device_name) : null
-          };
-        }).filter(Boolean);
-
-        if (normalized.length) return normalized.slice(0, fetchLimit);
-      } catch {
-        continue;
-      }
+  // Runs a query against the current connection; a failing connection is dropped so the next
+  // call reopens it.
+  function query(run) {
+    const current = connect();
+    if (!current.statements) return [];
+    try {
+      return run(current);
+    } catch (error) {
+      close();
+      lastError = error.message;
+      throw error;
     }
-
-    return [];
   }
 
-  function getPlaybackEventsFromReportingDb(db, daysBack = 30) {
-    const cutoffMs = Date.now() - (daysBack * 24 * 60 * 60 * 1000);
-    const limit = Math.max(daysBack * 300, 1000);
-    const rows = getRecentPlaybackRows(db, limit);
-    if (!rows.length) return [];
+  function getRecentPlaybackRows(limit = 12) {
+    const fetchLimit = Math.max(limit * 6, 30);
+    return query(({ statements }) => statements.recent.all(fetchLimit))
+      .map(normalizeRow)
+      .filter(Boolean);
+  }
 
-    return rows
-      .filter((row) => row.played_at && row.played_at.getTime() >= cutoffMs)
+  function getPlaybackEventsSince(sinceMs) {
+    return query(({ statements, schema }) => statements.since.all(cutoffParam(sinceMs, schema.played_at_format)))
+      .map(normalizeRow)
+      .filter((row) => row && row.played_at.getTime() >= sinceMs)
       .map((row) => ({
         timestamp: row.played_at,
         item_id: row.item_id || null,
         item_name: row.item_name || null,
+        item_type: row.item_type || null,
         user_id: row.user_id || null,
+        duration_ms: row.duration_ms ?? null,
         source: 'playback-reporting'
       }));
   }
 
+  function getPlaybackEventsFromReportingDb(daysBack = 30) {
+    return getPlaybackEventsSince(Date.now() - (daysBack * 24 * 60 * 60 * 1000));
+  }
+
+  function getSchemaInfo() {
+    if (!dbPath) return { configured: false };
+    try {
+      const current = connect();
+      return {
+        configured: true,
+        path: dbPath,
+        connected: true,
+        table: current.schema?.table || null,
+        columns: current.schema?.columns || null,
+        played_at_format: current.schema?.played_at_format || null,
+        schema_version: current.schemaVersion,
+        detected_at: current.detectedAt,
+        row_count: current.statements ? current.statements.count.get().count : 0
+      };
+    } catch (error) {
+      return { configured: true, path: dbPath, connected: false, error: lastError || error.message };
+    }
+  }
+
   return {
-    openDatabase,
-    getPlaybackEvents,
-    getRecentPlaybackRows,
-    getPlaybackEventsFromReportingDb
+    isConfigured: () => Boolean(dbPath),
+    getRecentPlaybackRows: timed(getRecentPlaybackRows),
+    getPlaybackEventsFromReportingDb: timed(getPlaybackEventsFromReportingDb),
+    getPlaybackEventsSince: timed(getPlaybackEventsSince),
+    getSchemaInfo,
+    close
   };
 }
@@ -1,32 +1,85 @@
 import express from 'express';
-import { getCache, setCache } from '../lib/cache.mjs';
+import { withCache, cacheKeyFromQuery, isDegradedPayload } from '../lib/cache.mjs';
+import { normalizeBoolean } from '../lib/normalize.mjs';
 
-export function createActivityRoutes({ activityService, config }) {
+export function createActivityRoutes({ activityService, wrappedService, redactionService, config }) {
   const router = express.Router();
 
+  function parseActivityOptions(query) {
+    const { user, error } = activityService.resolveUserFilter(query.user);
+    if (error) return { error };
+    const { metric, error: metricError } = activityService.resolveMetric(query.metric);
+    if (metricError) return { error: metricError };
+    return { options: { user, byUser: normalizeBoolean(query.by_user), metric } };
+  }
+
+  router.get('/activity', async (req, res) => {
+    const { options, error } = parseActivityOptions(req.query);
+    if (error) return res.status(400).json({ error });
+    const { range, error: rangeError } = activityService.resolveRange(req.query);
+    if (rangeError) return res.status(400).json({ error: rangeError });
+
+    const cacheKey = cacheKeyFromQuery('jellyfin-activity-range', {
+      from: req.query.from || '',
+      to: req.query.to || '',
+      granularity: range.granularity,
+      tz: range.timezone,
+      user: options.user,
+      by_user: options.byUser,
+      metric: options.metric
+    });
+    const payload = await withCache(cacheKey, 30000, () => activityService.getActivityRange(range, options), {
+      staleMs: 600000,
+      isFailure: isDegradedPayload
+    });
+    res.json(payload);
+  });
+
   router.get('/activity/weekly', async (req, res) => {
-    const key = 'jellyfin-activity-weekly';
-    const hit = getCache(key);
-    if (hit) return res.json(hit);
+    const { options, error } = parseActivityOptions(req.query);
+    if (error) return res.status(400).json({ error });
 
-    const payload = await activityService.getWeeklyActivity();
-    setCache(key, payload, 30000);
+    const cacheKey = cacheKeyFromQuery('jellyfin-activity-weekly', { user: options.user, by_user: options.byUser, metric: options.metric });
+    const payload = await withCache(cacheKey, 30000, () => activityService.getWeeklyActivity(options), {
+      staleMs: 600000,
+      isFailure: isDegradedPayload
+    });
     res.json(payload);
   });
 
   router.get('/activity/monthly', async (req, res) => {
-    const key = 'jellyfin-activity-monthly';
-    const hit = getCache(key);
-    if (hit) return res.json(hit);
+    const { options, error } = parseActivityOptions(req.query);
+    if (error) return res.status(400).json({ error });
 
-    const payload = await activityService.getMonthlyActivity();
-    setCache(key, payload, 30000);
+    const cacheKey = cacheKeyFromQuery('jellyfin-activity-monthly', { user: options.user, by_user: options.byUser, metric: options.metric });
+    const payload = await withCache(cacheKey, 30000, () => activityService.getMonthlyActivity(options), {
+      staleMs: 600000,
+      isFailure: isDegradedPayload
+    });
     res.json(payload);
   });
 
+  router.get('/activity/wrapped', async (req, res) => {
+    const { user, error } = activityService.resolveUserFilter(req.query.user);
+    if (error) return res.status(400).json({ error });
+    // A redacted user is reported like an unknown one, so the filter cannot confirm the account.
+    if (redactionService.hidesUser(user, req)) return res.status(400).json({ error: `unknown user: ${String(req.query.user).trim()}` });
+    const { period, error: periodError } = wrappedService.resolvePeriod(req.query);
+    if (periodError) return res.status(400).json({ error: periodError });
+
+    const full = redactionService.bypasses(req);
+    const cacheKey = cacheKeyFromQuery('jellyfin-activity-wrapped', { period: period.label, user, full });
+    const excludePlays = full ? null : (events) => redactionService.excludeUserPlays(events, req);
+    const payload = await withCache(cacheKey, 600000, () => wrappedService.getWrapped(period, { user, excludePlays }), {
+      staleMs: 3600000,
+      isFailure: (result) => Boolean(result.warning)
+    });
+    res.json(await redactionService.redactWrapped(payload, req));
+  });
+
   router.get('/activity/debug/events', async (req, res) => {
     try {
-      return res.json(await activityService.getDebugEvents(req.query.limit));
+      return res.json(await redactionService.redactDebugEvents(await activityService.getDebugEvents(req.query.limit), req));
     } catch (error) {
       return res.status(500).json({
         error: error.message,
@@ -1,6 +1,7 @@
 import express from 'express';
+import { getCacheStats } from '../lib/cache.mjs';
 
-export function createDebugRoutes({ jellyfinClient, app, apiRouter, apiBasePath = '/api/media' }) {
+export function createDebugRoutes({ jellyfinClient, imageService, playbackRepository, historyService, searchIndexService, app, apiRouter, apiBasePath = '/api/media' }) {
   const router = express.Router();
 
   router.get('/debug/jellyfin-info', async (req, res) => {
@@ -23,6 +24,26 @@ export function createDebugRoutes({ jellyfinClient, app, apiRouter, apiBasePath
     }
   });
 
+  router.get('/debug/cache', (req, res) => {
+    res.json(getCacheStats());
+  });
+
+  router.get('/debug/image-cache', (req, res) => {
+    res.json(imageService.getCacheStats());
+  });
+
+  router.get('/debug/playback-db', (req, res) => {
+    res.json(playbackRepository.getSchemaInfo());
+  });
+
+  router.get('/debug/history', (req, res) => {
+    res.json(historyService.getStatus());
+  });
+
+  router.get('/debug/search-index', (req, res) => {
+    res.json(searchIndexService.getStatus());
+  });
+
   function collectRoutes() {
     const routes = [];
 
@@ -9,6 +9,7 @@ export function createHealthRoutes({ config }) {
     hasTmdb: Boolean(config.tmdb?.configured),
     hasJellyseerr: Boolean(config.jellyseerr?.configured),
     hasRadarr: Boolean(config.radarr?.configured),
+    hasSonarr: Boolean(config.sonarr?.configured),
     hasExternalSearch: Boolean(config.tmdb?.configured || config.jellyseerr?.configured),
     timeoutMs: config.timeoutMs
   }));
@@ -0,0 +1,35 @@
+import express from 'express';
+import { Readable } from 'node:stream';
+import { requireApiToken } from '../lib/auth.mjs';
+import { logger } from '../lib/logger.mjs';
+
+export function createHistoryRoutes({ config, historyExportService }) {
+  const router = express.Router();
+
+  // The export holds every play with its user, unredacted, so it is token-only.
+  router.get('/history/export', requireApiToken(config), (req, res) => {
+    if (!historyExportService.isAvailable()) {
+      return res.status(503).json({ error: 'history store disabled (HISTORY_DB_PATH is not set)' });
+    }
+    const { exportOptions, error } = historyExportService.resolveExport(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const { contentType, filename } = historyExportService.contentInfo(exportOptions);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    const stream = Readable.from(historyExportService.exportChunks(exportOptions));
+    stream.on('error', (streamError) => {
+      logger.error('history export failed', { error: streamError.message });
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        return res.status(500).type('json').json({ error: 'history export failed' });
+      }
+      res.destroy(streamError);
+    });
+    return stream.pipe(res);
+  });
+
+  return router;
+}
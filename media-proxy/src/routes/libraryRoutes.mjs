@@ -1,31 +1,49 @@
 import express from 'express';
-import { getCache, setCache } from '../lib/cache.mjs';
+import { withCache, cacheKeyFromQuery, isDegradedPayload } from '../lib/cache.mjs';
 
 export function createLibraryRoutes({ libraryService }) {
   const router = express.Router();
 
   router.get('/library', async (req, res) => {
-    const cacheKey = `jellyfin-library-${JSON.stringify(req.query)}`;
-    const hit = getCache(cacheKey);
-    if (hit) return res.json(hit);
+    const cacheKey = cacheKeyFromQuery('jellyfin-library', req.query);
+    const payload = await withCache(cacheKey, 30000, () => libraryService.getLibrary(req.query), {
+      staleMs: 300000,
+      isFailure: isDegradedPayload
+    });
+    res.json(payload);
+  });
 
-    const payload = await libraryService.getLibrary(req.query);
-    setCache(cacheKey, payload, 30000);
+  router.get('/library/facets', async (req, res) => {
+    const cacheKey = cacheKeyFromQuery('jellyfin-library-facets', req.query);
+    const payload = await withCache(cacheKey, 30000, () => libraryService.getFacets(req.query), {
+      staleMs: 300000,
+      isFailure: isDegradedPayload
+    });
     res.json(payload);
   });
 
+  // Never cached: every call is a fresh draw (the library read behind it is cached).
+  router.get('/library/random', async (req, res) => {
+    const payload = await libraryService.pickRandom(req.query);
+    if (payload.ok === false) {
+      return res.status(payload.status || 400).json({ error: payload.error || 'invalid query' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.json(payload);
+  });
+
   router.get('/search', async (req, res) => {
     const q = String(req.query.q || '').trim();
-    const cacheKey = `media-search-${q}-${JSON.stringify(req.query)}`;
-    const hit = getCache(cacheKey);
-    if (hit) return res.json(hit);
-
-    const payload = await libraryService.search(req.query);
+    const cacheKey = cacheKeyFromQuery(`media-search-${q}`, req.query);
+    const payload = await withCache(cacheKey, 30000, () => libraryService.search(req.query), {
+      staleMs: 120000,
+      isFailure: (result) => result.ok === false || isDegradedPayload(result)
+    });
     if (payload.ok === false) {
       return res.status(payload.status || 400).json({ error: payload.error || 'invalid query' });
     }
 
-    setCache(cacheKey, payload, 30000);
     return res.json(payload);
   });
 
@@ -0,0 +1,13 @@
+import express from 'express';
+
+export function createMetricsRoutes({ metricsService }) {
+  const router = express.Router();
+
+  // Mounted at the app root, outside /api/media, so Caddy never exposes it publicly.
+  router.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metricsService.render());
+  });
+
+  return router;
+}
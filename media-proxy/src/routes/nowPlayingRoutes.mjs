@@ -0,0 +1,62 @@
+import express from 'express';
+import { withCache, isDegradedPayload } from '../lib/cache.mjs';
+import { logger } from '../lib/logger.mjs';
+
+const HEARTBEAT_MS = 25000;
+
+export function createNowPlayingRoutes({ nowPlayingService, redactionService }) {
+  const router = express.Router();
+
+  router.get('/now-playing', async (req, res) => {
+    const payload = await withCache('jellyfin-now-playing', 5000, () => nowPlayingService.getNowPlaying(), {
+      staleMs: 15000,
+      isFailure: isDegradedPayload
+    });
+    res.json(await redactionService.redactList(payload, req));
+  });
+
+  // Server-Sent Events: each `data:` line carries the same payload as GET /now-playing and is
+  // only sent when it changes. Comment heartbeats keep idle proxies from closing the stream.
+  router.get('/now-playing/stream', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    let closed = false;
+    const heartbeat = setInterval(() => {
+      if (!closed) res.write(': keep-alive\n\n');
+    }, HEARTBEAT_MS);
+    let unsubscribe = () => {};
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    // Redaction is async; chaining keeps events in poll order. A failed link ends the stream
+    // (the client reconnects after `retry`) instead of leaving a rejected chain behind.
+    let sending = Promise.resolve();
+    unsubscribe = nowPlayingService.subscribe((payload) => {
+      sending = sending
+        .then(() => (closed ? null : redactionService.redactList(payload, req)))
+        .then((redacted) => {
+          if (!closed && redacted) res.write(`data: ${JSON.stringify(redacted)}\n\n`);
+        })
+        .catch((error) => {
+          logger.error('now-playing stream failed', { error: error.message });
+          close();
+          res.end();
+        });
+    });
+
+    req.on('close', close);
+  });
+
+  return router;
+}
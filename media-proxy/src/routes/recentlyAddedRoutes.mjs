@@ -1,18 +1,27 @@
 import express from 'express';
-import { getCache, setCache } from '../lib/cache.mjs';
+import { withCache, cacheKeyFromQuery, isDegradedPayload } from '../lib/cache.mjs';
+import { parsePositiveInt } from '../lib/normalize.mjs';
 
-export function createRecentlyAddedRoutes({ recentlyAddedService }) {
+export function createRecentlyAddedRoutes({ recentlyAddedService, redactionService }) {
   const router = express.Router();
 
   router.get('/recently-added', async (req, res) => {
-    const limit = Number(req.query.limit || 10);
-    const key = `jellyfin-added-${limit}`;
-    const hit = getCache(key);
-    if (hit) return res.json(hit);
+    const { filters, error } = recentlyAddedService.resolveFilters(req.query);
+    if (error) return res.status(400).json({ error });
 
-    const payload = await recentlyAddedService.getRecentlyAdded(limit);
-    setCache(key, payload, 30000);
-    res.json(payload);
+    const limit = parsePositiveInt(req.query.limit, 10);
+    const key = cacheKeyFromQuery('jellyfin-added-v2', {
+      limit,
+      type: filters.type || 'all',
+      library: filters.library || '',
+      group: filters.group || '',
+      start_index: filters.startIndex
+    });
+    const payload = await withCache(key, 30000, () => recentlyAddedService.getRecentlyAdded(limit, filters), {
+      staleMs: 300000,
+      isFailure: isDegradedPayload
+    });
+    res.json(await redactionService.redactList(payload, req));
   });
 
   return router;
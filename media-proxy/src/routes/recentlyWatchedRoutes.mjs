@@ -1,21 +1,30 @@
 import express from 'express';
-import { getCache, setCache } from '../lib/cache.mjs';
+import { withCache, cacheKeyFromQuery, isDegradedPayload } from '../lib/cache.mjs';
+import { parsePositiveInt } from '../lib/normalize.mjs';
 
-export function createRecentlyWatchedRoutes({ recentlyWatchedService }) {
+export function createRecentlyWatchedRoutes({ recentlyWatchedService, redactionService }) {
   const router = express.Router();
 
   router.get('/recently-watched', async (req, res) => {
-    const limit = Number(req.query.limit || 12);
-    const type = typeof req.query.type === 'string' ? req.query.type : '';
-    const rawStartIndex = req.query.start_index ?? req.query.startIndex ?? 0;
-    const startIndex = Math.max(0, Math.floor(Number(rawStartIndex) || 0));
-    const key = `jellyfin-watched-v2-${limit}-${type.trim().toLowerCase() || 'all'}-${startIndex}`;
-    const hit = getCache(key);
-    if (hit) return res.json(hit);
+    const { filters, error } = recentlyWatchedService.resolveFilters(req.query);
+    if (error) return res.status(400).json({ error });
 
-    const payload = await recentlyWatchedService.getRecentlyWatched(limit, { type, startIndex });
-    setCache(key, payload, 15000);
-    res.json(payload);
+    const limit = parsePositiveInt(req.query.limit, 12);
+    const key = cacheKeyFromQuery('jellyfin-watched-v3', {
+      limit,
+      type: filters.type || 'all',
+      since: filters.sinceMs ?? '',
+      until: filters.untilMs ?? '',
+      user: filters.user || '',
+      group: filters.group || '',
+      cursor: req.query.cursor || '',
+      start_index: filters.startIndex
+    });
+    const payload = await withCache(key, 15000, () => recentlyWatchedService.getRecentlyWatched(limit, filters), {
+      staleMs: 300000,
+      isFailure: isDegradedPayload
+    });
+    res.json(await redactionService.redactList(payload, req));
   });
 
   return router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import { withCache, cacheKeyFromQuery, invalidateCache, isDegradedPayload } from '../lib/cache.mjs';
+import { requireApiToken } from '../lib/auth.mjs';
+
+export function createRequestRoutes({ requestService, config }) {
+  const router = express.Router();
+
+  router.get('/requests', async (req, res) => {
+    const cacheKey = cacheKeyFromQuery('media-requests', req.query);
+    const payload = await withCache(cacheKey, 15000, () => requestService.listRequests(req.query), {
+      staleMs: 60000,
+      isFailure: isDegradedPayload
+    });
+    res.json(payload);
+  });
+
+  router.post('/requests', requireApiToken(config), express.json(), async (req, res) => {
+    const result = await requestService.createRequest(req.body || {});
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    invalidateCache((key) => key.startsWith('media-requests-'));
+    res.status(result.status).json(result.payload);
+  });
+
+  return router;
+}
@@ -0,0 +1,30 @@
+import express from 'express';
+import { withCache, cacheKeyFromQuery, isDegradedPayload } from '../lib/cache.mjs';
+
+export function createShowRoutes({ showService }) {
+  const router = express.Router();
+
+  router.get('/shows', async (req, res) => {
+    const cacheKey = cacheKeyFromQuery('jellyfin-shows', req.query);
+    const payload = await withCache(cacheKey, 30000, () => showService.getShows(req.query), {
+      staleMs: 300000,
+      isFailure: isDegradedPayload
+    });
+    res.json(payload);
+  });
+
+  router.get('/shows/:id', async (req, res) => {
+    const { id } = req.params;
+    const result = await withCache(`jellyfin-show-${id}`, 30000, () => showService.getShow(id), {
+      staleMs: 300000,
+      isFailure: (r) => r.status !== 200
+    });
+    if (result.status !== 200) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result.item);
+  });
+
+  return router;
+}
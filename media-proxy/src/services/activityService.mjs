@@ -1,44 +1,94 @@
-import { normalizeTimestamp, getActivityDateParts, getWeeklyBucketForDate, buildMonthlyBucketMap } from '../lib/time.mjs';
+import {
+  getActivityDateParts,
+  getWeeklyBucketForDate,
+  buildMonthlyBucketMap,
+  BUCKET_GRANULARITIES,
+  buildTimeBuckets,
+  findBucketIndex,
+  formatZonedIso,
+  getZonedParts,
+  isValidTimezone,
+  lastLocalDays,
+  parseZonedDate
+} from '../lib/time.mjs';
 import { normalizeKey } from '../lib/normalize.mjs';
-
-export function createActivityService({ config, jellyfinClient, playbackRepository }) {
+import { logger } from '../lib/logger.mjs';
+import { isPlaybackEntry, playbackItemName, entryTimestamp } from '../lib/activityLog.mjs';
+import { getCache, setCache } from '../lib/cache.mjs';
+import { createUserAliases } from '../lib/userAliases.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const TIME_BLOCKS = ['00-03', '03-06', '06-09', '09-12', '12-15', '15-18', '18-21', '21-24'];
+const DEFAULT_RANGE_DAYS = { hour: 2, day: 30, week: 84, month: 365 };
+const MAX_RANGE_DAYS = 400;
+const MAX_RANGE_BUCKETS = 1000;
+const ACTIVITY_METRICS = ['plays', 'minutes'];
+const RUNTIME_CACHE_MS = 6 * 60 * 60 * 1000;
+// The live activity-log read scales with the range but stops here; older entries in a long
+// range are left to the Playback Reporting DB and the history store.
+const ACTIVITY_LOG_FETCH_MAX = 10000;
+const RUNTIME_LOOKUP_BATCH = 50;
+
+export function createActivityService({ config, jellyfinClient, playbackRepository, historyService, metricsService }) {
   const timezone = config.activityTimezone;
+  const aliases = createUserAliases(config.users.aliases);
+  const minPlayMs = config.activityMinPlaySeconds * 1000;
+
+  function emptyWeeklyData() {
+    const data = {};
+    for (const day of WEEKDAYS) {
+      for (const block of TIME_BLOCKS) {
+        data[`${day}_${block}`] = 0;
+      }
+    }
+    return data;
+  }
+
+  // A play counts once; in `minutes` mode it weighs its duration (unknown durations weigh 0).
+  function eventWeight(event, metric) {
+    if (metric === 'minutes') return (event.duration_ms || 0) / 60000;
+    return 1;
+  }
+
+  function totalOf(events, metric) {
+    return Math.round(events.reduce((sum, event) => sum + eventWeight(event, metric), 0));
+  }
+
+  // Plays with a known duration under ACTIVITY_MIN_PLAY_SECONDS are accidental starts and ignored.
+  function isCountedPlay(event) {
+    return !Number.isFinite(event.duration_ms) || event.duration_ms >= minPlayMs;
+  }
+
+  function countByBucket(buckets, events, metric = 'plays') {
+    const counts = buckets.map(() => 0);
+    for (const event of events) {
+      const index = findBucketIndex(buckets, event.timestamp.getTime());
+      if (index >= 0) counts[index] += eventWeight(event, metric);
+    }
+    return counts.map(Math.round);
+  }
 
   async function getPlaybackEventsFromActivityLog(daysBack = 30) {
     const cutoffMs = Date.now() - (daysBack * 24 * 60 * 60 * 1000);
-    const fetchLimit = Math.max(daysBack * 250, 1000);
+    const fetchLimit = Math.min(Math.max(daysBack * 250, 1000), ACTIVITY_LOG_FETCH_MAX);
     const r = await jellyfinClient.getActivityLog(fetchLimit);
     if (!r.ok) return { ok: false, error: r.error || 'Unable to read Jellyfin activity log', events: [] };
 
     const entries = Array.isArray(r.json?.Items) ? r.json.Items : [];
     if (!entries.length) return { ok: false, error: 'No activity log entries found', events: [] };
 
-    const isPlaybackEntry = (entry) => {
-      const hay = `${entry?.Type || ''} ${entry?.Name || ''} ${entry?.ShortOverview || ''} ${entry?.Overview || ''}`.toLowerCase();
-      return hay.includes('playback') || hay.includes('played') || hay.includes('stopped');
-    };
-
-    const normalizeItemName = (entry) => {
-      const base = entry?.ItemName || entry?.Name || entry?.ShortOverview || entry?.Overview || '';
-      return String(base)
-        .replace(/^[^:]{1,64}:\s*/, '')
-        .replace(/^.+?\bhas finished playing\b\s+/i, '')
-        .replace(/^.+?\bhas started playing\b\s+/i, '')
-        .replace(/^.+?\bplayed\b\s+/i, '')
-        .replace(/\s+\bon\b\s+.+$/i, '')
-        .trim() || null;
-    };
-
     const events = entries
       .filter(isPlaybackEntry)
       .map((entry) => {
-        const date = normalizeTimestamp(entry?.Date || entry?.DateCreated || entry?.Timestamp || entry?.Time);
+        const date = entryTimestamp(entry);
         if (!date || date.getTime() < cutoffMs) return null;
         return {
           timestamp: date,
           item_id: entry?.ItemId ? String(entry.ItemId) : null,
-          item_name: normalizeItemName(entry),
+          item_name: playbackItemName(entry),
           user_id: entry?.UserId ? String(entry.UserId) : null,
+          duration_ms: null,
           source: 'activity-log'
         };
       })
@@ -48,23 +98,85 @@ export function createActivityService({ config, jellyfinClient, playbackReposito
     return { ok: true, events };
   }
 
-  async function getUnifiedPlaybackEvents(daysBack = 30) {
+  async function getItemRuntimes(itemIds) {
+    const runtimes = new Map();
+    const missing = [];
+    for (const itemId of itemIds) {
+      const cached = getCache(`jellyfin-runtime-${itemId}`);
+      if (cached !== null) runtimes.set(itemId, cached);
+      else missing.push(itemId);
+    }
+
+    for (let i = 0; i < missing.length; i += RUNTIME_LOOKUP_BATCH) {
+      const batch = missing.slice(i, i + RUNTIME_LOOKUP_BATCH);
+      const r = await jellyfinClient.getItemsByIds(batch);
+      if (!r.ok) continue;
+      for (const item of Array.isArray(r.json?.Items) ? r.json.Items : []) {
+        const ticks = Number(item.RunTimeTicks);
+        const runtimeMs = Number.isFinite(ticks) && ticks > 0 ? Math.round(ticks / 10_000) : 0;
+        runtimes.set(item.Id, runtimeMs);
+        setCache(`jellyfin-runtime-${item.Id}`, runtimeMs, RUNTIME_CACHE_MS);
+      }
+    }
+
+    return runtimes;
+  }
+
+  // The activity log has no play durations, so its events are estimated as one full runtime.
+  async function estimateActivityLogDurations(events) {
+    const pending = events.filter((event) => event.source === 'activity-log' && event.duration_ms == null && event.item_id);
+    if (!pending.length || !config.jellyfin.configured) return;
+
+    const runtimes = await getItemRuntimes([...new Set(pending.map((event) => event.item_id))]);
+    for (const event of pending) {
+      const runtimeMs = runtimes.get(event.item_id);
+      if (!runtimeMs) continue;
+      event.duration_ms = runtimeMs;
+      event.duration_estimated = true;
+    }
+  }
+
+  // Plays come from the history store once it has ingested; until then (or without a store) the
+  // live sources are read and deduped per request.
+  async function getUnifiedPlaybackEvents(daysBack = 30, { estimateDurations = false } = {}) {
+    if (historyService?.isReady()) {
+      try {
+        return await getStoredPlaybackEvents(daysBack, { estimateDurations });
+      } catch (error) {
+        logger.warn('history store read failed, using live sources', { error: error.message });
+      }
+    }
+    return getLivePlaybackEvents(daysBack, { estimateDurations });
+  }
+
+  async function getStoredPlaybackEvents(daysBack, { estimateDurations }) {
+    const events = historyService.getPlaybackEvents(daysBack);
+    const bySource = events.reduce((acc, event) => {
+      acc[event.source] = (acc[event.source] || 0) + 1;
+      return acc;
+    }, {});
+    const stats = {
+      combined_count: events.length,
+      deduped_count: events.length,
+      combined_by_source: bySource,
+      deduped_by_source: bySource
+    };
+    metricsService?.recordActivitySources(daysBack, stats);
+    if (estimateDurations) await estimateActivityLogDurations(events);
+    return { events, warning: null, stats };
+  }
+
+  async function getLivePlaybackEvents(daysBack, { estimateDurations }) {
     const warnings = [];
     const combined = [];
 
     if (config.jellyfin.dbPath) {
-      let db = null;
       try {
-        db = playbackRepository.openDatabase();
-        const dbEvents = playbackRepository.getPlaybackEventsFromReportingDb(db, daysBack);
+        const dbEvents = playbackRepository.getPlaybackEventsFromReportingDb(daysBack);
         if (dbEvents.length) combined.push(...dbEvents);
         else warnings.push('No playback events found in reporting DB for selected range');
       } catch (error) {
         warnings.push(`Reporting DB error: ${error.message}`);
-      } finally {
-        if (db) {
-          try { db.close(); } catch {}
-        }
       }
     } else {
       warnings.push('JELLYFIN_DB_PATH not configured');
@@ -98,115 +210,203 @@ export function createActivityService({ config, jellyfinClient, playbackReposito
       return acc;
     }, {});
 
+    const stats = {
+      combined_count: combined.length,
+      deduped_count: deduped.length,
+      combined_by_source: bySource(combined),
+      deduped_by_source: bySource(deduped)
+    };
+    metricsService?.recordActivitySources(daysBack, stats);
+    if (estimateDurations) await estimateActivityLogDurations(deduped);
+
     return {
       events: deduped.sort((a, b) => (a.timestamp?.getTime() || 0) - (b.timestamp?.getTime() || 0)),
       warning: warnings.length ? warnings.join(' | ') : null,
-      stats: {
-        combined_count: combined.length,
-        deduped_count: deduped.length,
-        combined_by_source: bySource(combined),
-        deduped_by_source: bySource(deduped)
-      }
+      stats
     };
   }
 
-  function buildWeeklyActivityData(events) {
-    const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
-    const timeBlocks = ['00-03', '03-06', '06-09', '09-12', '12-15', '15-18', '18-21', '21-24'];
-    const data = {};
-    const partsFormatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: timezone,
-      weekday: 'short',
-      hour: '2-digit',
-      hour12: false
+  // Weekday x 3h grid over the last 7 days: hour buckets from the shared engine, folded by the
+  // local weekday and hour each bucket starts at.
+  function buildWeeklyActivityData(events, metric = 'plays', nowMs = Date.now()) {
+    const data = emptyWeeklyData();
+    const buckets = buildTimeBuckets({ fromMs: nowMs - (7 * DAY_MS), toMs: nowMs + 1, granularity: 'hour', timezone });
+
+    countByBucket(buckets, events, metric).forEach((count, index) => {
+      if (!count) return;
+      const parts = getZonedParts(buckets[index].start, timezone);
+      const key = `${parts.weekday}_${TIME_BLOCKS[Math.floor(parts.hour / 3)]}`;
+      if (data[key] !== undefined) data[key] += count;
     });
 
-    for (const day of days) {
-      for (const block of timeBlocks) {
-        data[`${day}_${block}`] = 0;
-      }
-    }
-
-    for (const event of events) {
-      const date = event.timestamp;
-      const parts = partsFormatter.formatToParts(date);
-      const dayName = parts.find((p) => p.type === 'weekday')?.value;
-      const hourStr = parts.find((p) => p.type === 'hour')?.value;
-      const hour = Number(hourStr) % 24;
-      if (!dayName || !days.includes(dayName) || !Number.isFinite(hour)) continue;
-
-      const blockIndex = Math.floor(hour / 3);
-      const blockName = timeBlocks[blockIndex];
-
-      const key = `${dayName}_${blockName}`;
-      if (data[key] !== undefined) data[key]++;
-    }
-
     return data;
   }
 
-  function buildMonthlyActivityData(events) {
+  // `day_1..day_30` are the last 30 local calendar days, today last.
+  function buildMonthlyActivityData(events, metric = 'plays', nowMs = Date.now()) {
     const data = {};
-    const dateFormatter = new Intl.DateTimeFormat('en-CA', {
-      timeZone: timezone,
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit'
+    const buckets = lastLocalDays(30, timezone, nowMs);
+    countByBucket(buckets, events, metric).forEach((count, index) => {
+      data[`day_${index + 1}`] = count;
     });
-    const dayMs = 24 * 60 * 60 * 1000;
-    const now = Date.now();
-    const dayKeyToBucket = new Map();
-
-    for (let i = 1; i <= 30; i++) {
-      data[`day_${i}`] = 0;
-      const date = new Date(now - ((30 - i) * dayMs));
-      dayKeyToBucket.set(dateFormatter.format(date), `day_${i}`);
-    }
+    return data;
+  }
 
+  // Counted plays (short starts dropped, durations estimated) in [fromMs, toMs), oldest first,
+  // optionally for one public alias.
+  async function getPlaysInRange({ fromMs, toMs, user = null }) {
+    const daysBack = Math.max(1, Math.ceil((Date.now() - fromMs) / DAY_MS));
+    const { events, warning } = await getUnifiedPlaybackEvents(daysBack, { estimateDurations: true });
+    const plays = events.filter((event) => {
+      const ms = event.timestamp.getTime();
+      if (ms < fromMs || ms >= toMs || !isCountedPlay(event)) return false;
+      return !user || aliases.publicName(event.user_id) === user;
+    });
+    return { events: plays, warning };
+  }
+
+  // `user` filters by public nickname only, so callers can never probe raw Jellyfin ids.
+  function resolveUserFilter(value) {
+    const raw = String(value ?? '').trim();
+    if (!raw) return { user: null };
+    const user = aliases.findAlias(raw);
+    return user ? { user } : { error: `unknown user: ${raw}` };
+  }
+
+  // Users without a public alias (or aliased `hidden`) are pooled under `user: null` so the
+  // breakdown still adds up to the overall counts.
+  function groupEventsByUser(events) {
+    const groups = new Map();
     for (const event of events) {
-      const bucket = dayKeyToBucket.get(dateFormatter.format(event.timestamp));
-      if (bucket && data[bucket] !== undefined) data[bucket]++;
+      const user = aliases.publicName(event.user_id);
+      if (!groups.has(user)) groups.set(user, []);
+      groups.get(user).push(event);
     }
+    return [...groups.entries()]
+      .map(([user, userEvents]) => ({ user, events: userEvents }))
+      .sort((a, b) => (a.user === null) - (b.user === null) || b.events.length - a.events.length);
+  }
 
-    return data;
+  function resolveMetric(value) {
+    const metric = String(value ?? '').trim().toLowerCase() || 'plays';
+    return ACTIVITY_METRICS.includes(metric) ? { metric } : { error: `metric must be one of: ${ACTIVITY_METRICS.join(', ')}` };
+  }
+
+  function buildActivityView(events, { user = null, byUser = false, metric = 'plays' } = {}, build, field = 'data') {
+    const inScope = user ? events.filter((event) => aliases.publicName(event.user_id) === user) : events;
+    const scoped = inScope.filter(isCountedPlay);
+    const payload = {
+      metric,
+      min_play_seconds: config.activityMinPlaySeconds,
+      short_plays_excluded: inScope.length - scoped.length,
+      [field]: build(scoped, metric)
+    };
+    if (user) payload.user = user;
+    if (byUser) {
+      payload.by_user = groupEventsByUser(scoped).map((group) => ({
+        user: group.user,
+        total: totalOf(group.events, metric),
+        [field]: build(group.events, metric)
+      }));
+    }
+    return payload;
   }
 
-  async function getWeeklyActivity() {
-    const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
-    const timeBlocks = ['00-03', '03-06', '06-09', '09-12', '12-15', '15-18', '18-21', '21-24'];
-    const emptyData = {};
+  async function getWeeklyActivity(options = {}) {
+    const emptyData = emptyWeeklyData();
 
-    for (const day of days) {
-      for (const block of timeBlocks) {
-        emptyData[`${day}_${block}`] = 0;
+    try {
+      const { events, warning } = await getUnifiedPlaybackEvents(7, { estimateDurations: options.metric === 'minutes' });
+      if (events.length === 0) {
+        return { ...buildActivityView([], options, buildWeeklyActivityData), warning: warning || 'No playback events found in the last 7 days' };
       }
+      return buildActivityView(events, options, buildWeeklyActivityData);
+    } catch (error) {
+      logger.error('weekly activity failed', { error: error.message });
+      return { data: emptyData, warning: `Database error: ${error.message}` };
     }
+  }
+
+  async function getMonthlyActivity(options = {}) {
+    const emptyData = buildMonthlyActivityData([]);
 
     try {
-      const { events, warning } = await getUnifiedPlaybackEvents(7);
+      const { events, warning } = await getUnifiedPlaybackEvents(30, { estimateDurations: options.metric === 'minutes' });
       if (events.length === 0) {
-        return { data: emptyData, warning: warning || 'No playback events found in the last 7 days' };
+        return { ...buildActivityView([], options, buildMonthlyActivityData), warning: warning || 'No playback events found in the last 30 days' };
       }
-      return { data: buildWeeklyActivityData(events) };
+      return buildActivityView(events, options, buildMonthlyActivityData);
     } catch (error) {
-      console.error('Error reading Jellyfin playback data for weekly activity:', error.message);
+      logger.error('monthly activity failed', { error: error.message });
       return { data: emptyData, warning: `Database error: ${error.message}` };
     }
   }
 
-  async function getMonthlyActivity() {
-    const emptyData = {};
-    for (let i = 1; i <= 30; i++) emptyData[`day_${i}`] = 0;
+  // Validates `from`, `to`, `granularity` and `tz` for GET /activity. `to` defaults to now and
+  // `from` to a granularity-dependent window before it.
+  function resolveRange(query = {}) {
+    const granularity = String(query.granularity || 'day').trim().toLowerCase();
+    if (!BUCKET_GRANULARITIES.includes(granularity)) {
+      return { error: `granularity must be one of: ${BUCKET_GRANULARITIES.join(', ')}` };
+    }
+
+    const rangeTimezone = String(query.tz || '').trim() || timezone;
+    if (!isValidTimezone(rangeTimezone)) return { error: `unknown timezone: ${rangeTimezone}` };
+
+    const nowMs = Date.now();
+    const toMs = query.to ? parseZonedDate(query.to, rangeTimezone, { endOfDay: true }) : nowMs;
+    if (toMs === null) return { error: 'invalid to: expected YYYY-MM-DD or an ISO timestamp with offset' };
+    const fromMs = query.from
+      ? parseZonedDate(query.from, rangeTimezone)
+      : toMs - (DEFAULT_RANGE_DAYS[granularity] * DAY_MS);
+    if (fromMs === null) return { error: 'invalid from: expected YYYY-MM-DD or an ISO timestamp with offset' };
+
+    if (fromMs >= toMs) return { error: 'from must be before to' };
+    if (nowMs - fromMs > MAX_RANGE_DAYS * DAY_MS) return { error: `from must be within the last ${MAX_RANGE_DAYS} days` };
+
+    const range = { fromMs, toMs, granularity, timezone: rangeTimezone };
+    if (!buildTimeBuckets({ ...range, maxBuckets: MAX_RANGE_BUCKETS })) {
+      return { error: `range too large: at most ${MAX_RANGE_BUCKETS} ${granularity} buckets` };
+    }
+    return { range };
+  }
+
+  async function getActivityRange(range, options = {}) {
+    const buckets = buildTimeBuckets({ ...range, maxBuckets: MAX_RANGE_BUCKETS });
+    const startMs = buckets[0].start;
+    const format = (ms) => formatZonedIso(ms, range.timezone);
+    const build = (events, metric) => countByBucket(buckets, events, metric).map((count, index) => ({
+      start: format(buckets[index].start),
+      end: format(buckets[index].end),
+      count
+    }));
+    const meta = {
+      from: format(startMs),
+      to: format(range.toMs),
+      granularity: range.granularity,
+      timezone: range.timezone
+    };
+
+    const withTotal = (view) => ({
+      ...meta,
+      total: view.buckets.reduce((sum, bucket) => sum + bucket.count, 0),
+      ...view
+    });
 
     try {
-      const { events, warning } = await getUnifiedPlaybackEvents(30);
+      const daysBack = Math.max(1, Math.ceil((Date.now() - startMs) / DAY_MS));
+      const { events, warning } = await getUnifiedPlaybackEvents(daysBack, { estimateDurations: options.metric === 'minutes' });
+      const inRange = events.filter((event) => {
+        const ms = event.timestamp.getTime();
+        return ms >= startMs && ms < range.toMs;
+      });
       if (events.length === 0) {
-        return { data: emptyData, warning: warning || 'No playback events found in the last 30 days' };
+        return { ...withTotal(buildActivityView([], options, build, 'buckets')), warning: warning || 'No playback events found in range' };
       }
-      return { data: buildMonthlyActivityData(events) };
+      return withTotal(buildActivityView(inRange, options, build, 'buckets'));
     } catch (error) {
-      console.error('Error reading Jellyfin playback data for monthly activity:', error.message);
-      return { data: emptyData, warning: `Database error: ${error.message}` };
+      logger.error('activity range failed', { error: error.message });
+      return { ...withTotal(buildActivityView([], options, build, 'buckets')), warning: `Database error: ${error.message}` };
     }
   }
 
@@ -233,6 +433,7 @@ export function createActivityService({ config, jellyfinClient, playbackReposito
         user_id: event.user_id || null,
         item_id: event.item_id || null,
         item_name: event.item_name || null,
+        duration_ms: event.duration_ms ?? null,
         timestamp_ms: event.timestamp.getTime(),
         timestamp_utc: event.timestamp.toISOString(),
         local_date: parts.local_date,
@@ -274,8 +475,13 @@ export function createActivityService({ config, jellyfinClient, playbackReposito
   return {
     getPlaybackEventsFromActivityLog,
     getUnifiedPlaybackEvents,
+    getPlaysInRange,
     buildWeeklyActivityData,
     buildMonthlyActivityData,
+    resolveUserFilter,
+    resolveMetric,
+    resolveRange,
+    getActivityRange,
     getWeeklyActivity,
     getMonthlyActivity,
     getDebugEvents
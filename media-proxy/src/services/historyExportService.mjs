@@ -0,0 +1,156 @@
+import { formatZonedIso, parseZonedDate } from '../lib/time.mjs';
+import { createUserAliases } from '../lib/userAliases.mjs';
+
+const EXPORT_FORMATS = ['csv', 'json', 'letterboxd'];
+const EXPORT_TYPES = ['movie', 'episode'];
+const PAGE_SIZE = 500;
+const CSV_COLUMNS = [
+  'watched_at',
+  'user',
+  'media_type',
+  'title',
+  'series_title',
+  'season_number',
+  'episode_number',
+  'year',
+  'imdb_id',
+  'tmdb_id',
+  'tvdb_id',
+  'duration_minutes'
+];
+// The columns Letterboxd's diary importer maps automatically.
+const LETTERBOXD_COLUMNS = ['Title', 'Year', 'imdbID', 'tmdbID', 'WatchedDate', 'Rewatch'];
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvValue).join(',')}\r\n`;
+}
+
+function providerIds(row) {
+  try {
+    const ids = row.provider_ids ? JSON.parse(row.provider_ids) : {};
+    const get = (name) => Object.entries(ids).find(([key]) => key.toLowerCase() === name)?.[1] || null;
+    return { imdb: get('imdb'), tmdb: get('tmdb'), tvdb: get('tvdb') };
+  } catch {
+    return { imdb: null, tmdb: null, tvdb: null };
+  }
+}
+
+// Streams the reconciled plays from the history store as CSV, JSON or a Letterboxd diary import.
+export function createHistoryExportService({ config, historyService }) {
+  const timezone = config.activityTimezone;
+  const aliases = createUserAliases(config.users.aliases);
+
+  function resolveExport(query = {}) {
+    const format = String(query.format || 'csv').trim().toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+
+    const rawType = String(query.type || '').trim().toLowerCase();
+    if (rawType && !EXPORT_TYPES.includes(rawType)) return { error: `type must be one of: ${EXPORT_TYPES.join(', ')}` };
+    if (format === 'letterboxd' && rawType === 'episode') return { error: 'letterboxd export only supports movies' };
+    const type = format === 'letterboxd' ? 'movie' : rawType || null;
+
+    const toMs = query.to ? parseZonedDate(query.to, timezone, { endOfDay: true }) : Date.now();
+    if (toMs === null) return { error: 'invalid to: expected YYYY-MM-DD or an ISO timestamp with offset' };
+    const fromMs = query.from ? parseZonedDate(query.from, timezone) : 0;
+    if (fromMs === null) return { error: 'invalid from: expected YYYY-MM-DD or an ISO timestamp with offset' };
+    if (fromMs >= toMs) return { error: 'from must be before to' };
+
+    return { exportOptions: { format, type, fromMs, toMs } };
+  }
+
+  function toRecord(row) {
+    const ids = providerIds(row);
+    return {
+      watched_at: formatZonedIso(row.watched_at, timezone),
+      user: aliases.publicName(row.user_id),
+      media_type: row.item_type || null,
+      title: row.item_name || null,
+      series_title: row.series_name || null,
+      season_number: row.season_number ?? null,
+      episode_number: row.episode_number ?? null,
+      year: row.year || null,
+      imdb_id: ids.imdb,
+      tmdb_id: ids.tmdb,
+      tvdb_id: ids.tvdb,
+      duration_minutes: Number.isFinite(row.duration_ms) ? Math.round(row.duration_ms / 60000) : null
+    };
+  }
+
+  function* rows({ type, fromMs, toMs }) {
+    let after = null;
+    while (true) {
+      const page = historyService.listRange({ fromMs, toMs, type, after, limit: PAGE_SIZE });
+      yield* page;
+      if (page.length < PAGE_SIZE) return;
+      after = page[page.length - 1];
+    }
+  }
+
+  // One diary entry per film per local day, however many household members watched it;
+  // Rewatch is set when the film was played on an earlier day, including before `from`.
+  function* letterboxdLines(options) {
+    yield csvLine(LETTERBOXD_COLUMNS);
+    const seen = new Set(historyService.getItemIdsWatchedBefore(options.fromMs, 'movie'));
+    const loggedDays = new Set();
+    for (const row of rows(options)) {
+      const key = row.item_id || row.name_key;
+      const watchedDate = formatZonedIso(row.watched_at, timezone).slice(0, 10);
+      if (loggedDays.has(`${key}|${watchedDate}`)) continue;
+      loggedDays.add(`${key}|${watchedDate}`);
+
+      const ids = providerIds(row);
+      yield csvLine([row.item_name, row.year, ids.imdb, ids.tmdb, watchedDate, seen.has(key) ? 'true' : 'false']);
+      seen.add(key);
+    }
+  }
+
+  function* csvLines(options) {
+    yield csvLine(CSV_COLUMNS);
+    for (const row of rows(options)) {
+      const record = toRecord(row);
+      yield csvLine(CSV_COLUMNS.map((column) => record[column]));
+    }
+  }
+
+  function* jsonChunks(options) {
+    const meta = {
+      from: options.fromMs ? formatZonedIso(options.fromMs, timezone) : null,
+      to: formatZonedIso(options.toMs, timezone),
+      type: options.type,
+      timezone
+    };
+    yield `${JSON.stringify(meta).slice(0, -1)},"items":[`;
+    let first = true;
+    for (const row of rows(options)) {
+      yield `${first ? '' : ','}\n${JSON.stringify(toRecord(row))}`;
+      first = false;
+    }
+    yield '\n]}\n';
+  }
+
+  // Chunks are produced page by page from the store, so memory stays flat for any range.
+  function exportChunks(options) {
+    if (options.format === 'letterboxd') return letterboxdLines(options);
+    if (options.format === 'json') return jsonChunks(options);
+    return csvLines(options);
+  }
+
+  function contentInfo({ format }) {
+    if (format === 'json') return { contentType: 'application/json; charset=utf-8', filename: 'watch-history.json' };
+    if (format === 'letterboxd') return { contentType: 'text/csv; charset=utf-8', filename: 'watch-history-letterboxd.csv' };
+    return { contentType: 'text/csv; charset=utf-8', filename: 'watch-history.csv' };
+  }
+
+  return {
+    isAvailable: () => historyService.isConfigured(),
+    resolveExport,
+    exportChunks,
+    contentInfo
+  };
+}
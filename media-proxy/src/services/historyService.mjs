@@ -0,0 +1,260 @@
+import { invalidateCache } from '../lib/cache.mjs';
+import { logger } from '../lib/logger.mjs';
+import { isPlaybackEntry, isPlaybackStopEntry, playbackItemName, entryTimestamp } from '../lib/activityLog.mjs';
+import { normalizeDateMs } from '../lib/normalize.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Each run re-reads this much before its cursor so late-written rows are not missed; the
+// repository's write-time reconciliation makes the overlap idempotent.
+const CURSOR_OVERLAP_MS = 60 * 60 * 1000;
+const ACTIVITY_LOG_PAGE_SIZE = 500;
+const USER_DATA_LIMIT = 100;
+const HYDRATE_BATCH = 50;
+const HYDRATE_FIELDS = 'ProviderIds,ProductionYear';
+const CACHE_PREFIXES = ['jellyfin-watched', 'jellyfin-activity'];
+
+function ticksToMs(ticks) {
+  const value = Number(ticks);
+  return Number.isFinite(value) && value > 0 ? Math.round(value / 10_000) : null;
+}
+
+function itemMetadata(item) {
+  return {
+    item_name: item.Name || null,
+    item_type: item.Type || null,
+    series_id: item.SeriesId || null,
+    series_name: item.SeriesName || null,
+    season_name: item.SeasonName || null,
+    season_number: Number.isInteger(item.ParentIndexNumber) ? item.ParentIndexNumber : null,
+    episode_number: Number.isInteger(item.IndexNumber) ? item.IndexNumber : null,
+    year: item.ProductionYear || null,
+    provider_ids: item.ProviderIds && Object.keys(item.ProviderIds).length ? item.ProviderIds : null,
+    primary_image_tag: item.ImageTags?.Primary || null,
+    series_primary_image_tag: item.SeriesPrimaryImageTag || null,
+    runtime_ms: ticksToMs(item.RunTimeTicks)
+  };
+}
+
+// Pulls plays from Playback Reporting, the Jellyfin activity log and per-user LastPlayedDate into
+// the history store on a timer, one cursor per source, so history outlives Jellyfin's log pruning.
+export function createHistoryService({ config, jellyfinClient, playbackRepository, historyRepository }) {
+  const { ingestIntervalMs } = config.history;
+  let timer = null;
+  let running = null;
+  let ready = false;
+  let lastRun = null;
+
+  function cursorMs(source) {
+    const value = Number(historyRepository.getCursor(source)?.cursor);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  function sinceCursor(source) {
+    const cursor = cursorMs(source);
+    return cursor === null ? null : cursor - CURSOR_OVERLAP_MS;
+  }
+
+  function newestOf(plays, previous) {
+    return plays.reduce((max, play) => Math.max(max, play.watched_at), previous ?? 0) || previous;
+  }
+
+  async function ingestPlaybackReporting() {
+    if (!config.jellyfin.dbPath) return null;
+    const since = sinceCursor('playback-reporting') ?? 0;
+    const plays = playbackRepository.getPlaybackEventsSince(since).map((event) => ({
+      item_id: event.item_id,
+      item_name: event.item_name,
+      item_type: event.item_type,
+      user_id: event.user_id,
+      watched_at: event.timestamp.getTime(),
+      duration_ms: event.duration_ms,
+      source: 'playback-reporting'
+    }));
+    return { plays, cursor: newestOf(plays, cursorMs('playback-reporting')) };
+  }
+
+  async function ingestActivityLog() {
+    const since = sinceCursor('activity-log');
+    const minDate = since === null ? null : new Date(since).toISOString();
+    const plays = [];
+
+    for (let startIndex = 0; ; startIndex += ACTIVITY_LOG_PAGE_SIZE) {
+      const r = await jellyfinClient.getActivityLogPage({ startIndex, limit: ACTIVITY_LOG_PAGE_SIZE, minDate });
+      if (!r.ok) throw new Error(r.error || 'Unable to read Jellyfin activity log');
+      const entries = Array.isArray(r.json?.Items) ? r.json.Items : [];
+
+      for (const entry of entries.filter(isPlaybackEntry)) {
+        const date = entryTimestamp(entry);
+        if (!date) continue;
+        plays.push({
+          item_id: entry.ItemId ? String(entry.ItemId) : null,
+          item_name: playbackItemName(entry),
+          user_id: entry.UserId ? String(entry.UserId) : null,
+          watched_at: date.getTime(),
+          source: 'activity-log',
+          is_stop: isPlaybackStopEntry(entry)
+        });
+      }
+
+      const total = Number(r.json?.TotalRecordCount);
+      if (entries.length < ACTIVITY_LOG_PAGE_SIZE || (Number.isFinite(total) && startIndex + entries.length >= total)) break;
+    }
+
+    return { plays, cursor: newestOf(plays, cursorMs('activity-log')) };
+  }
+
+  // LastPlayedDate only holds each item's latest play, so this source fills gaps for setups
+  // without Playback Reporting rather than recording rewatches.
+  async function ingestUserData() {
+    const usersResp = await jellyfinClient.getUsers();
+    if (!usersResp.ok || !Array.isArray(usersResp.json)) throw new Error(usersResp.error || 'Unable to read Jellyfin users');
+
+    const since = sinceCursor('user-data') ?? 0;
+    const query = `SortBy=DatePlayed&SortOrder=Descending&Limit=${USER_DATA_LIMIT}&Recursive=true&Fields=${HYDRATE_FIELDS}&EnableImageTypes=Primary&IncludeItemTypes=Movie,Episode`;
+    const plays = [];
+
+    for (const user of usersResp.json.filter((u) => u?.Id && !u.Policy?.IsDisabled)) {
+      const r = await jellyfinClient.getUserItems(user.Id, query);
+      if (!r.ok) throw new Error(r.error || `Unable to read items for user ${user.Id}`);
+      for (const item of Array.isArray(r.json?.Items) ? r.json.Items : []) {
+        const watchedAt = normalizeDateMs(item.UserData?.LastPlayedDate);
+        if (!watchedAt || watchedAt < since) continue;
+        plays.push({
+          ...itemMetadata(item),
+          item_id: item.Id,
+          user_id: user.Id,
+          watched_at: watchedAt,
+          source: 'user-data',
+          hydrated_at: Date.now()
+        });
+      }
+    }
+
+    return { plays, cursor: newestOf(plays, cursorMs('user-data')) };
+  }
+
+  // Fills names, episode numbers, provider ids and runtimes for plays that only carried an id.
+  async function hydrateItems() {
+    const itemIds = historyRepository.getUnhydratedItemIds();
+    for (let i = 0; i < itemIds.length; i += HYDRATE_BATCH) {
+      const batch = itemIds.slice(i, i + HYDRATE_BATCH);
+      const r = await jellyfinClient.getItemsByIds(batch, HYDRATE_FIELDS);
+      if (!r.ok) {
+        logger.warn('history hydrate failed', { error: r.error });
+        return;
+      }
+      const found = new Map((Array.isArray(r.json?.Items) ? r.json.Items : []).map((item) => [item.Id, item]));
+      for (const itemId of batch) {
+        const item = found.get(itemId);
+        historyRepository.applyItemMetadata(itemId, item ? itemMetadata(item) : null);
+      }
+    }
+  }
+
+  async function runSource(source, ingest) {
+    try {
+      const result = await ingest();
+      if (!result) return null;
+      const { inserted, merged } = historyRepository.recordPlays(result.plays);
+      historyRepository.setCursor(source, { cursor: result.cursor ?? null, count: inserted + merged });
+      return { source, ok: true, read: result.plays.length, inserted, merged };
+    } catch (error) {
+      logger.warn('history ingest failed', { source, error: error.message });
+      historyRepository.setCursor(source, { error: error.message });
+      return { source, ok: false, error: error.message };
+    }
+  }
+
+  async function runOnce() {
+    const startedAt = Date.now();
+    const sources = [await runSource('playback-reporting', ingestPlaybackReporting)];
+    if (config.jellyfin.configured) {
+      sources.push(await runSource('activity-log', ingestActivityLog));
+      sources.push(await runSource('user-data', ingestUserData));
+      await hydrateItems();
+    }
+
+    const results = sources.filter(Boolean);
+    const changed = results.reduce((sum, r) => sum + (r.inserted || 0) + (r.merged || 0), 0);
+    if (changed) invalidateCache((key) => CACHE_PREFIXES.some((prefix) => key.startsWith(prefix)));
+    // Reads switch to the store only once it holds plays; an empty successful run keeps the live sources.
+    ready = historyRepository.getStats().plays > 0;
+
+    lastRun = { started_at: startedAt, duration_ms: Date.now() - startedAt, sources: results };
+    logger.info('history ingest finished', { duration_ms: lastRun.duration_ms, changed });
+    return lastRun;
+  }
+
+  // Runs never overlap: a call while one is in flight shares its result.
+  function ingest() {
+    if (!historyRepository.isConfigured()) return Promise.resolve(null);
+    if (!running) {
+      running = runOnce()
+        .catch((error) => {
+          logger.error('history ingest crashed', { error: error.message });
+          return null;
+        })
+        .finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  // A store that already holds plays from an earlier process is served before the first run.
+  function start() {
+    if (timer) return;
+    if (!historyRepository.isConfigured()) {
+      logger.warn('history store disabled: set HISTORY_DB_PATH to a persistent path to keep watch history');
+      return;
+    }
+    try {
+      ready = historyRepository.getStats().plays > 0;
+    } catch (error) {
+      logger.error('history store unavailable', { error: error.message });
+      return;
+    }
+    ingest();
+    timer = setInterval(ingest, ingestIntervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  // Plays in the last `daysBack` days in the event shape the activity service buckets. Plays
+  // without a recorded duration are estimated as one full runtime.
+  function getPlaybackEvents(daysBack = 30) {
+    return historyRepository.getEventsSince(Date.now() - (daysBack * DAY_MS)).map((row) => ({
+      timestamp: new Date(row.watched_at),
+      item_id: row.item_id,
+      item_name: row.series_name && row.item_name ? `${row.series_name} - ${row.item_name}` : row.item_name,
+      user_id: row.user_id,
+      duration_ms: row.duration_ms ?? row.runtime_ms ?? null,
+      duration_estimated: row.duration_ms == null && row.runtime_ms != null,
+      source: row.source
+    }));
+  }
+
+  function getStatus() {
+    if (!historyRepository.isConfigured()) return { configured: false };
+    try {
+      return { configured: true, ready, running: Boolean(running), last_run: lastRun, ...historyRepository.getStats() };
+    } catch (error) {
+      return { configured: true, ready: false, error: error.message };
+    }
+  }
+
+  return {
+    start,
+    stop,
+    ingest,
+    isReady: () => ready,
+    getPlaybackEvents,
+    isConfigured: () => historyRepository.isConfigured(),
+    listWatched: (options) => historyRepository.listWatched(options),
+    listRange: (options) => historyRepository.listRange(options),
+    getItemIdsWatchedBefore: (beforeMs, type) => historyRepository.getItemIdsWatchedBefore(beforeMs, type),
+    getStatus
+  };
+}
@@ -1,88 +1,306 @@
-import { fetch } from '../lib/http.mjs';
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { fetch, observeUpstream } from '../lib/http.mjs';
+import { logger } from '../lib/logger.mjs';
+import { createImageCache } from '../lib/imageCache.mjs';
+
+const UNTAGGED_TTL_MS = 60 * 60 * 1000;
+
+const IMAGE_TYPES = {
+  Primary: { height: 450 },
+  Thumb: { height: 300 },
+  Backdrop: { height: 720 }
+};
+
+// Requested sizes snap up to the nearest allowed value so the cache only ever holds a
+// small, fixed set of variants per image.
+const IMAGE_WIDTHS = [92, 185, 300, 500, 780, 1280];
+const IMAGE_HEIGHTS = [150, 300, 450, 720, 1080];
+const IMAGE_QUALITIES = [50, 70, 85, 96];
+const DEFAULT_QUALITY = 96;
+const IMAGE_FORMATS = { webp: 'Webp', jpeg: 'Jpg', jpg: 'Jpg' };
+const POSTER_SRCSET_WIDTHS = [185, 300, 500];
+const TMDB_IMAGE_ROOT = 'https://image.tmdb.org/t/p';
+const TMDB_POSTER_WIDTH = 500;
+const TMDB_SRCSET_WIDTHS = [185, 342, 500];
+
+function snapToAllowed(value, allowed) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number.parseInt(String(value), 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) return null;
+  return allowed.find((size) => size >= parsed) ?? allowed[allowed.length - 1];
+}
+
+function parseImageVariant(query = {}) {
+  const rawFormat = String(query.format || '').trim().toLowerCase();
+  if (rawFormat && !IMAGE_FORMATS[rawFormat]) return { ok: false, error: `unsupported image format: ${rawFormat}` };
+
+  return {
+    ok: true,
+    width: snapToAllowed(query.w, IMAGE_WIDTHS),
+    height: snapToAllowed(query.h, IMAGE_HEIGHTS),
+    quality: snapToAllowed(query.quality, IMAGE_QUALITIES) || DEFAULT_QUALITY,
+    format: rawFormat ? IMAGE_FORMATS[rawFormat] : null
+  };
+}
+
+function toBase64Url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function fromBase64Url(value) {
+  try {
+    return Buffer.from(String(value), 'base64url').toString('utf8');
+  } catch {
+    return null;
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch {
+    return null;
+  }
+}
 
 export function createImageService(config) {
-  const { jellyfin, timeoutMs } = config;
+  const { jellyfin, timeoutMs, images = {} } = config;
+  const signingKey = images.signingSecret
+    || (jellyfin.token ? createHash('sha256').update(`media-proxy-image:${jellyfin.token}`).digest() : null);
+  const jellyfinHost = hostOf(jellyfin.url);
+  const allowedHosts = new Set([
+    jellyfinHost,
+    ...(images.allowedHosts || [])
+  ].filter(Boolean).map((host) => host.toLowerCase()));
+  const imageCache = createImageCache({ dir: images.cacheDir, maxBytes: images.cacheMaxBytes });
+
+  function sign(payload) {
+    if (!signingKey) return null;
+    return createHmac('sha256', signingKey).update(payload).digest('base64url').slice(0, 32);
+  }
+
+  function verify(payload, signature) {
+    const expected = sign(payload);
+    if (!expected || typeof signature !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(signature);
+    return a.length === b.length && timingSafeEqual(a, b);
+  }
+
+  // Image refs are opaque to clients: base64url("<itemId>:<imageType>:<tag>") plus an HMAC,
+  // so the proxy only ever fetches Jellyfin images it handed out itself.
+  function buildImageRef(itemId, imageType, tag = '', variant = {}) {
+    if (!itemId || !IMAGE_TYPES[imageType]) return null;
+    const payload = toBase64Url(`${itemId}:${imageType}:${tag || ''}`);
+    const signature = sign(payload);
+    if (!signature) return null;
+    const params = new URLSearchParams({ ref: payload, sig: signature });
+    if (variant.w) params.set('w', String(variant.w));
+    if (variant.h) params.set('h', String(variant.h));
+    if (variant.format) params.set('format', variant.format);
+    if (variant.quality) params.set('quality', String(variant.quality));
+    return `/api/media/img?${params}`;
+  }
+
+  function parseImageRef(ref) {
+    const decoded = fromBase64Url(ref);
+    if (!decoded) return null;
+    const [itemId, imageType, tag = ''] = decoded.split(':');
+    if (!itemId || !IMAGE_TYPES[imageType]) return null;
+    return { itemId, imageType, tag };
+  }
+
+  function signedProxyUrl(url) {
+    if (!allowedHosts.has(hostOf(url))) return null;
+    const signature = sign(url);
+    if (!signature) return null;
+    return `/api/media/img?u=${encodeURIComponent(url)}&sig=${signature}`;
+  }
+
+  // TMDB posters (`poster_path` from TMDB or Jellyseerr) go through the signed `u=` path like
+  // any other off-Jellyfin image; they are null when image.tmdb.org is not allowlisted.
+  function posterFromTmdbPath(posterPath) {
+    if (!posterPath) return null;
+    return signedProxyUrl(`${TMDB_IMAGE_ROOT}/w${TMDB_POSTER_WIDTH}${posterPath}`);
+  }
+
+  function posterSrcsetFromTmdbPath(posterPath) {
+    if (!posterPath) return null;
+    const srcset = {};
+    for (const width of TMDB_SRCSET_WIDTHS) {
+      const url = signedProxyUrl(`${TMDB_IMAGE_ROOT}/w${width}${posterPath}`);
+      if (!url) return null;
+      srcset[`${width}w`] = url;
+    }
+    return srcset;
+  }
+
+  function posterSourceFromJellyfinItem(item) {
+    if (item.ImageTags?.Primary) return { itemId: item.Id, imageType: 'Primary', tag: item.ImageTags.Primary };
+    if (item.ImageTags?.Thumb) return { itemId: item.Id, imageType: 'Thumb', tag: item.ImageTags.Thumb };
+    if ((item.Type === 'Episode' || item.Type === 'Season') && item.SeriesId) {
+      return { itemId: item.SeriesId, imageType: 'Primary', tag: item.SeriesPrimaryImageTag };
+    }
+    return null;
+  }
 
   function posterFromJellyfinItem(item) {
     if (!jellyfin.configured) return null;
 
-    let jellyfinUrl = null;
-
-    if (item.ImageTags?.Primary) {
-      const imageId = item.ImageTags.Primary;
-      jellyfinUrl = `${jellyfin.url}/Items/${item.Id}/Images/Primary?height=450&quality=96&tag=${imageId}`;
-      console.log(`Building Jellyfin Primary poster URL for item ${item.Id}: ${item.Name}`);
-    } else if (item.ImageTags?.Thumb) {
-      const imageId = item.ImageTags.Thumb;
-      jellyfinUrl = `${jellyfin.url}/Items/${item.Id}/Images/Thumb?height=300&quality=96&tag=${imageId}`;
-      console.log(`Building Jellyfin Thumb poster URL for item ${item.Id}: ${item.Name}`);
-    } else if (item.Type === 'Episode' && item.SeriesId) {
-      jellyfinUrl = `${jellyfin.url}/Items/${item.SeriesId}/Images/Primary?height=450&quality=96`;
-      console.log(`Building Jellyfin series poster URL for episode ${item.Id}: ${item.Name} (series: ${item.SeriesId})`);
-    }
+    const source = posterSourceFromJellyfinItem(item);
+    const poster = source ? buildImageRef(source.itemId, source.imageType, source.tag) : null;
 
-    if (jellyfinUrl) {
-      return `/api/media/img?u=${encodeURIComponent(jellyfinUrl)}&auth=jellyfin`;
+    if (poster) {
+      return poster;
     }
 
-    console.log(`No valid poster source found for Jellyfin item:`, item.Name || item.Id);
+    logger.debug('no poster source for item', { item_id: item.Id || null, type: item.Type || null });
     return null;
   }
 
+  function posterSrcsetFromJellyfinItem(item) {
+    if (!jellyfin.configured) return null;
+    const source = posterSourceFromJellyfinItem(item);
+    if (!source) return null;
+
+    const srcset = {};
+    for (const width of POSTER_SRCSET_WIDTHS) {
+      srcset[`${width}w`] = buildImageRef(source.itemId, source.imageType, source.tag, { w: width });
+    }
+    return srcset;
+  }
+
   function fallbackPrimaryPoster(itemId) {
     if (!jellyfin.configured || !itemId) return null;
-    const fallbackUrl = `${jellyfin.url}/Items/${itemId}/Images/Primary?height=450&quality=96`;
-    return `/api/media/img?u=${encodeURIComponent(fallbackUrl)}&auth=jellyfin`;
+    return buildImageRef(itemId, 'Primary');
   }
 
-  async function proxyImage(req, res) {
-    try {
-      const u = req.query.u;
-      const auth = req.query.auth;
-      if (!u) return res.status(400).json({ error: 'missing u' });
+  function resolveUpstream(query) {
+    if (query.ref) {
+      if (!verify(String(query.ref), query.sig)) return { status: 403, error: 'invalid image signature' };
+      const ref = parseImageRef(query.ref);
+      if (!ref) return { status: 400, error: 'invalid image ref' };
+      const variant = parseImageVariant(query);
+      if (!variant.ok) return { status: 400, error: variant.error };
+      if (!jellyfin.configured) return { status: 503, error: 'jellyfin not configured' };
 
-      // TODO(fritterflix): before this is treated as public/open-source safe,
-      // restrict proxied image URLs to configured Jellyfin/media-stack hosts.
-      // The current endpoint intentionally preserves existing behavior.
-      console.log(`Image proxy request for: ${u} (auth: ${auth || 'none'})`);
+      const params = new URLSearchParams({ quality: String(variant.quality) });
+      if (variant.width) params.set('maxWidth', String(variant.width));
+      if (variant.height) params.set('maxHeight', String(variant.height));
+      if (!variant.width && !variant.height) params.set('height', String(IMAGE_TYPES[ref.imageType].height));
+      if (variant.format) params.set('format', variant.format);
+      if (ref.tag) params.set('tag', ref.tag);
+      return {
+        url: `${jellyfin.url}/Items/${encodeURIComponent(ref.itemId)}/Images/${ref.imageType}?${params}`,
+        jellyfinAuth: true,
+        cacheKey: `${ref.itemId}:${ref.imageType}:${ref.tag}:${variant.width || ''}x${variant.height || ''}:q${variant.quality}:${variant.format || ''}`,
+        immutable: Boolean(ref.tag)
+      };
+    }
 
-      const ac = new AbortController();
-      const t = setTimeout(() => ac.abort(), timeoutMs);
+    if (query.u) {
+      const url = String(query.u);
+      if (!allowedHosts.has(hostOf(url))) return { status: 403, error: 'image host not allowed' };
+      if (!verify(url, query.sig)) return { status: 403, error: 'invalid image signature' };
+      return { url, jellyfinAuth: hostOf(url) === jellyfinHost, cacheKey: `url:${url}`, immutable: false };
+    }
 
-      const headers = {
-        'User-Agent': 'media-proxy/1.0'
-      };
+    return { status: 400, error: 'missing image ref' };
+  }
 
-      if (auth === 'jellyfin') {
-        headers['Authorization'] = `MediaBrowser Token="${jellyfin.token}"`;
-      }
+  function matchesEtag(header, etag) {
+    if (!header) return false;
+    return String(header).split(',').some((candidate) => {
+      const value = candidate.trim().replace(/^W\//, '');
+      return value === '*' || value === etag;
+    });
+  }
+
+  function sendImage(req, res, entry, { cacheStatus, immutable }) {
+    res.set('ETag', entry.etag);
+    res.set('Cache-Control', immutable ? 'public, max-age=31536000, immutable' : 'public, max-age=3600');
+    res.set('X-Cache', cacheStatus);
+
+    if (matchesEtag(req.headers['if-none-match'], entry.etag)) return res.status(304).end();
+
+    res.set('Content-Type', entry.content_type || 'image/jpeg');
+    return res.end(entry.body);
+  }
+
+  async function fetchUpstream(upstream) {
+    const ac = new AbortController();
+    const t = setTimeout(() => ac.abort(), timeoutMs);
+
+    const headers = {
+      'User-Agent': 'media-proxy/1.0'
+    };
+
+    if (upstream.jellyfinAuth) {
+      headers['Authorization'] = `MediaBrowser Token="${jellyfin.token}"`;
+    }
 
-      const r = await fetch(u, {
+    const startedAt = Date.now();
+    let result;
+    try {
+      const r = await fetch(upstream.url, {
         signal: ac.signal,
-        headers
+        headers,
+        redirect: 'error'
       });
-
+      if (!r.ok) {
+        result = { ok: false, status: r.status, error: `${r.status} ${r.statusText}` };
+      } else {
+        const body = Buffer.from(await r.arrayBuffer());
+        result = { ok: true, status: r.status, body, contentType: r.headers.get('content-type') || 'image/jpeg' };
+      }
+    } catch (e) {
+      result = { ok: false, error: e.name === 'AbortError' ? `timeout after ${timeoutMs}ms` : e.message };
+    } finally {
       clearTimeout(t);
+    }
+
+    observeUpstream({ url: upstream.url, ok: result.ok, status: result.status, durationMs: Date.now() - startedAt, error: result.error });
+    return result;
+  }
+
+  async function proxyImage(req, res) {
+    const upstream = resolveUpstream(req.query);
+    if (!upstream.url) return res.status(upstream.status).json({ error: upstream.error });
+
+    try {
+      const cached = await imageCache.get(upstream.cacheKey);
+      const fresh = cached && (upstream.immutable || Date.now() - cached.stored_at < UNTAGGED_TTL_MS);
+      if (fresh) return sendImage(req, res, cached, { cacheStatus: 'HIT', immutable: upstream.immutable });
+
+      const r = await fetchUpstream(upstream);
 
       if (!r.ok) {
-        console.error(`Image proxy error: ${r.status} ${r.statusText} for URL: ${u}`);
+        logger.warn('image proxy upstream failed', { cache_key: upstream.cacheKey, error: r.error });
+        if (cached) {
+          imageCache.recordStaleServed();
+          return sendImage(req, res, cached, { cacheStatus: 'STALE', immutable: false });
+        }
         return res.redirect('/placeholder-poster.jpg');
       }
 
-      const contentType = r.headers.get('content-type') || 'image/jpeg';
-      res.set('Content-Type', contentType);
-      res.set('Cache-Control', 'public, max-age=3600');
-
-      r.body.pipe(res);
+      const entry = await imageCache.set(upstream.cacheKey, { body: r.body, contentType: r.contentType });
+      return sendImage(req, res, { ...entry, body: r.body }, { cacheStatus: 'MISS', immutable: upstream.immutable });
     } catch (e) {
-      console.error(`Image proxy exception: ${e.message}`);
+      logger.error('image proxy exception', { error: e.message });
       res.redirect('/placeholder-poster.jpg');
     }
   }
 
   return {
     posterFromJellyfinItem,
+    posterSrcsetFromJellyfinItem,
     fallbackPrimaryPoster,
-    proxyImage
+    buildImageRef,
+    signedProxyUrl,
+    posterFromTmdbPath,
+    posterSrcsetFromTmdbPath,
+    resolveUpstream,
+    proxyImage,
+    getCacheStats: () => imageCache.getStats()
   };
 }
@@ -1,22 +1,38 @@
 import { normalizeMovie } from './libraryService.mjs';
+import { normalizeEpisode, normalizeSeason } from './showService.mjs';
 
 const ITEM_FIELDS = [
   'BasicSyncInfo',
   'CanDelete',
+  'ChildCount',
   'CommunityRating',
   'CriticRating',
   'DateCreated',
+  'EndDate',
   'Genres',
   'OfficialRating',
+  'PremiereDate',
   'ProviderIds',
   'PrimaryImageAspectRatio',
   'ProductionYear',
-  'RunTimeTicks'
+  'RecursiveItemCount',
+  'RunTimeTicks',
+  'SortName',
+  'Status'
 ].join(',');
 
-export function createItemService({ config, jellyfinClient, imageService }) {
+export function createItemService({ config, jellyfinClient, imageService, showService }) {
   const { jellyfin } = config;
 
+  // Each supported Jellyfin type maps to its own normalized shape, discriminated by `media_type`.
+  // Movies keep exactly the `/library` row shape.
+  const normalizers = {
+    Movie: async (raw) => normalizeMovie(raw, imageService),
+    Series: async (raw) => showService.normalizeSeriesWithSonarr(raw),
+    Season: async (raw) => normalizeSeason(raw, imageService),
+    Episode: async (raw) => normalizeEpisode(raw, imageService)
+  };
+
   async function getItem(id) {
     if (!jellyfin.configured) return { status: 503, error: 'jellyfin not configured' };
 
@@ -34,9 +50,10 @@ export function createItemService({ config, jellyfinClient, imageService }) {
     if (!response.ok) return { status: 404, error: 'item not found' };
 
     const raw = response.json;
-    if (!raw || raw.Type !== 'Movie') return { status: 404, error: 'item not found' };
+    const normalize = raw ? normalizers[raw.Type] : null;
+    if (!normalize) return { status: 404, error: 'item not found' };
 
-    return { status: 200, item: normalizeMovie(raw, imageService) };
+    return { status: 200, item: await normalize(raw) };
   }
 
   return { getItem };
@@ -1,21 +1,14 @@
-import { getCache, setCache } from '../lib/cache.mjs';
+import { getCache, setCache, invalidateCache, withCache, isDegradedPayload } from '../lib/cache.mjs';
 import { safeFetchJson } from '../lib/http.mjs';
+import { logger } from '../lib/logger.mjs';
+import {
+  parsePositiveInt,
+  normalizeBoolean,
+  sortKeyFromTitle,
+  normalizeRuntimeTicks,
+  normalizeDateMs
+} from '../lib/normalize.mjs';
 
-const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p/w500';
-
-function parsePositiveInt(value, fallback, { min = 1, max = 100 } = {}) {
-  const parsed = Number.parseInt(String(value ?? ''), 10);
-  if (!Number.isFinite(parsed)) return fallback;
-  return Math.min(Math.max(parsed, min), max);
-}
-
-function normalizeBoolean(value, fallback = false) {
-  if (value === undefined || value === null || value === '') return fallback;
-  const normalized = String(value).trim().toLowerCase();
-  if (['1', 'true', 'yes', 'y', 'on'].includes(normalized)) return true;
-  if (['0', 'false', 'no', 'n', 'off'].includes(normalized)) return false;
-  return fallback;
-}
 
 function normalizeProviderIds(providerIds = {}) {
   const tmdb = providerIds.Tmdb || providerIds.TMDB || providerIds.tmdb || null;
@@ -38,23 +31,6 @@ function normalizeFlexibleProviderIds(providerIds = {}) {
   return out;
 }
 
-function sortKeyFromTitle(value) {
-  const s = String(value || '').trim().toLowerCase();
-  return s.replace(/^(the|a|an)\s+/, '');
-}
-
-function normalizeRuntimeTicks(ticks) {
-  if (!Number.isFinite(Number(ticks))) return null;
-  return Math.round(Number(ticks) / 10_000_000 / 60);
-}
-
-function normalizeDateMs(value) {
-  if (!value) return null;
-  const date = new Date(value);
-  const ms = date.getTime();
-  return Number.isFinite(ms) ? ms : null;
-}
-
 export function normalizeMovie(item, imageService) {
   const userData = item.UserData || {};
   const addedAt = normalizeDateMs(item.DateCreated);
@@ -65,11 +41,13 @@ export function normalizeMovie(item, imageService) {
   return {
     id: item.Id || null,
     title: item.Name || 'Unknown',
+    original_title: item.OriginalTitle && item.OriginalTitle !== item.Name ? item.OriginalTitle : null,
     sort_name: sortKeyFromTitle(rawSortName || rawName) || 'unknown',
     year: item.ProductionYear || null,
     media_type: 'movie',
     provider_ids: normalizeProviderIds(item.ProviderIds),
     poster: imageService.posterFromJellyfinItem(item),
+    poster_srcset: imageService.posterSrcsetFromJellyfinItem(item),
     added_at: addedAt,
     runtime_minutes: normalizeRuntimeTicks(item.RunTimeTicks),
     genres: Array.isArray(item.Genres) ? item.Genres : [],
@@ -85,7 +63,7 @@ export function normalizeMovie(item, imageService) {
   };
 }
 
-function applyLocalFilters(items, query) {
+export function applyLocalFilters(items, query) {
   let filtered = items;
 
   const played = String(query.played || '').trim().toLowerCase();
@@ -111,35 +89,228 @@ function applyLocalFilters(items, query) {
   return filtered;
 }
 
-function sortLibrary(items, query) {
-  const sort = String(query.sort || 'recently_added').trim().toLowerCase();
-  const unwatchedFirst = normalizeBoolean(query.unwatched_first, true);
+// Facet dimensions and the filter params each one is driven by. A facet's counts apply every
+// active filter except its own, so picking a genre still shows the other genres' counts.
+const FACET_FILTER_PARAMS = {
+  genres: ['genre'],
+  decades: ['decade'],
+  played: ['played', 'unwatched']
+};
+
+function withoutParams(query, params) {
+  const rest = { ...query };
+  for (const param of params) delete rest[param];
+  return rest;
+}
+
+function countValues(items, valuesOf) {
+  const counts = new Map();
+  for (const item of items) {
+    for (const [key, value] of valuesOf(item)) {
+      const entry = counts.get(key) || { value, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    }
+  }
+  return [...counts.values()];
+}
+
+const byCountThenValue = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+
+export function buildLibraryFacets(items, query = {}) {
+  const scoped = (facet) => applyLocalFilters(items, withoutParams(query, FACET_FILTER_PARAMS[facet] || []));
+  const matching = applyLocalFilters(items, query);
 
-  return [...items].sort((a, b) => {
-    if (unwatchedFirst && a.user_data.played !== b.user_data.played) {
-      return a.user_data.played ? 1 : -1;
+  const genres = countValues(scoped('genres'), (item) => {
+    const seen = new Map();
+    for (const genre of item.genres) {
+      const key = String(genre).trim().toLowerCase();
+      if (key && !seen.has(key)) seen.set(key, String(genre).trim());
     }
+    return [...seen.entries()];
+  }).sort(byCountThenValue);
+
+  const decades = countValues(scoped('decades'), (item) => {
+    if (!Number.isFinite(item.year)) return [];
+    const decade = Math.floor(item.year / 10) * 10;
+    return [[decade, decade]];
+  }).sort((a, b) => b.value - a.value);
+
+  const officialRatings = countValues(matching, (item) => (item.official_rating ? [[item.official_rating, item.official_rating]] : []))
+    .sort(byCountThenValue);
+
+  // Whole-point bands; a perfect 10 falls in the top band.
+  const communityRatingBands = countValues(matching, (item) => {
+    if (!Number.isFinite(item.community_rating)) return [];
+    const min = Math.min(9, Math.max(0, Math.floor(item.community_rating)));
+    return [[min, `${min}-${min + 1}`]];
+  }).map((entry) => {
+    const min = Number(entry.value.split('-')[0]);
+    return { value: entry.value, min, max: min + 1, count: entry.count };
+  }).sort((a, b) => b.min - a.min);
+
+  const playedScope = scoped('played');
+  const watchedCount = playedScope.filter((item) => item.user_data.played).length;
+  const played = [
+    { value: 'unwatched', count: playedScope.length - watchedCount },
+    { value: 'watched', count: watchedCount }
+  ];
+
+  return {
+    total: matching.length,
+    facets: {
+      genres,
+      decades,
+      official_ratings: officialRatings,
+      community_rating_bands: communityRatingBands,
+      played
+    }
+  };
+}
 
-    if (sort === 'title') return (a.sort_name || '').localeCompare(b.sort_name || '');
-    if (sort === 'year') return (b.year || 0) - (a.year || 0);
+const MOVIE_FIELDS = [
+  'BasicSyncInfo',
+  'CanDelete',
+  'CommunityRating',
+  'CriticRating',
+  'DateCreated',
+  'Genres',
+  'OfficialRating',
+  'OriginalTitle',
+  'ProviderIds',
+  'PrimaryImageAspectRatio',
+  'ProductionYear',
+  'RunTimeTicks'
+].join(',');
+const LIBRARY_SORTS = {
+  recently_added: { SortBy: 'DateCreated', SortOrder: 'Descending' },
+  title: { SortBy: 'SortName', SortOrder: 'Ascending' },
+  year: { SortBy: 'ProductionYear', SortOrder: 'Descending' }
+};
+// Page size when the whole movie library is read (facets).
+const FULL_LIBRARY_PAGE = 1000;
+
+function playedFilter(query) {
+  const played = String(query.played || '').trim().toLowerCase();
+  if (played === 'unwatched' || normalizeBoolean(query.unwatched, false)) return false;
+  if (played === 'watched' || played === 'played') return true;
+  return null;
+}
 
-    return (b.added_at || 0) - (a.added_at || 0);
+// Translates the `/library` filters and sort into Jellyfin `/Items` params for `itemType`,
+// matching `applyLocalFilters`. Played state is returned separately because `unwatched_first`
+// pages across two played/unplayed queries (see `queryUnwatchedFirst`).
+export function jellyfinLibraryParams(query = {}, { itemType = 'Movie', fields = MOVIE_FIELDS } = {}) {
+  const sort = LIBRARY_SORTS[String(query.sort || 'recently_added').trim().toLowerCase()] || LIBRARY_SORTS.recently_added;
+  const params = new URLSearchParams({
+    Recursive: 'true',
+    IncludeItemTypes: itemType,
+    ...sort,
+    Fields: fields,
+    ImageTypeLimit: '1',
+    EnableImageTypes: 'Primary,Backdrop,Thumb',
+    EnableUserData: 'true',
+    EnableTotalRecordCount: 'true'
   });
+
+  if (query.genre) params.set('Genres', String(query.genre).trim());
+
+  if (query.decade) {
+    const start = Number.parseInt(String(query.decade), 10);
+    if (Number.isFinite(start)) {
+      params.set('Years', Array.from({ length: 10 }, (_, offset) => start + offset).join(','));
+    }
+  }
+
+  return { params, played: playedFilter(query) };
 }
 
-function tmdbPoster(path) {
-  if (!path) return null;
-  return `${TMDB_IMAGE_BASE}${path}`;
+// Jellyfin matches `Genres` case-sensitively, so `genre` is mapped to the library's own spelling
+// ("action" -> "Action") from its `/Genres` list for `itemType`, cached for 10 minutes. Unknown
+// genres, or an unreadable list, pass through as given.
+export async function canonicalGenre(jellyfinClient, userId, genre, itemType = 'Movie') {
+  const wanted = String(genre).trim();
+  const genres = await withCache(`jellyfin-genres-${itemType}`, 600000, async () => {
+    const response = await jellyfinClient.getGenres(userId, itemType);
+    if (!response.ok) return { items: [], warning: `jellyfin: ${response.error}` };
+    const rows = Array.isArray(response.json?.Items) ? response.json.Items : [];
+    return { items: rows.map((row) => String(row?.Name || '').trim()).filter(Boolean) };
+  }, { staleMs: 3600000, isFailure: isDegradedPayload });
+  return genres.items.find((name) => name.toLowerCase() === wanted.toLowerCase()) || wanted;
 }
 
-function normalizeTmdbMovie(item, externalIds = {}) {
+// `unwatched_first` (the default) lists unplayed items before played ones: the page is read from
+// the unplayed query and, past its end, continues into the played query. `queryPage` reads one
+// Jellyfin page as `{ ok, items, total }` for `{ played, startIndex, limit }`.
+export async function queryUnwatchedFirst(queryPage, startIndex, limit) {
+  const unplayed = await queryPage({ played: false, startIndex, limit });
+  if (!unplayed.ok) return unplayed;
+
+  const remaining = limit - unplayed.items.length;
+  const played = await queryPage({
+    played: true,
+    startIndex: Math.max(0, startIndex - unplayed.total),
+    limit: Math.max(remaining, 1)
+  });
+  if (!played.ok) return played;
+
+  return {
+    ok: true,
+    items: [...unplayed.items, ...(remaining > 0 ? played.items.slice(0, remaining) : [])],
+    total: unplayed.total + played.total
+  };
+}
+
+const RANDOM_WEIGHTS = ['none', 'recently_added', 'long_unwatched'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseNumberParam(name, value) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return { value: null };
+  const parsed = Number(raw);
+  return Number.isFinite(parsed) && parsed >= 0 ? { value: parsed } : { error: `invalid ${name}: expected a non-negative number` };
+}
+
+function parseIdList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return new Set(values.flatMap((entry) => String(entry ?? '').split(',')).map((id) => id.trim()).filter(Boolean));
+}
+
+// Relative odds of a movie being picked. `recently_added` favours new arrivals and
+// `long_unwatched` favours titles nobody has played for a long time (or ever, counted from when
+// they were added); both fade over roughly a month.
+function pickWeight(item, weight, now) {
+  if (weight === 'recently_added') {
+    const days = item.added_at ? Math.max(0, (now - item.added_at) / DAY_MS) : 365;
+    return 1 / (1 + days / 30);
+  }
+  if (weight === 'long_unwatched') {
+    const since = item.user_data.last_played_at || item.added_at;
+    const days = since ? Math.max(0, (now - since) / DAY_MS) : 365;
+    return 1 + days / 30;
+  }
+  return 1;
+}
+
+// Weighted sampling without replacement (Efraimidis-Spirakis): each item draws
+// `random ^ (1 / weight)` and the highest draws win.
+function weightedSample(items, count, weightOf) {
+  return items
+    .map((item) => ({ item, key: Math.random() ** (1 / weightOf(item)) }))
+    .sort((a, b) => b.key - a.key)
+    .slice(0, count)
+    .map((entry) => entry.item);
+}
+
+function normalizeTmdbMovie(item, externalIds, imageService) {
   return {
     id: `tmdb:${item.id}`,
     title: item.title || item.original_title || 'Unknown',
     year: Number.isFinite(Number(item.release_date?.slice?.(0, 4))) ? Number(item.release_date.slice(0, 4)) : null,
     media_type: 'movie',
     provider_ids: normalizeFlexibleProviderIds({ tmdb: item.id, imdb: externalIds.imdb_id || null }),
-    poster: tmdbPoster(item.poster_path),
+    poster: imageService.posterFromTmdbPath(item.poster_path),
+    poster_srcset: imageService.posterSrcsetFromTmdbPath(item.poster_path),
     added_at: null,
     runtime_minutes: null,
     genres: [],
@@ -159,7 +330,7 @@ function firstNonEmptyString(...values) {
   return null;
 }
 
-function normalizeJellyseerrSearchMovie(row) {
+function normalizeJellyseerrSearchMovie(row, imageService) {
   const tmdbId = row?.id;
   if (!tmdbId) return null;
   const releaseDate = firstNonEmptyString(
@@ -179,7 +350,8 @@ function normalizeJellyseerrSearchMovie(row) {
     year,
     media_type: 'movie',
     provider_ids: normalizeFlexibleProviderIds({ tmdb: tmdbId, imdb: imdbId || null }),
-    poster: tmdbPoster(posterPath),
+    poster: imageService.posterFromTmdbPath(posterPath),
+    poster_srcset: imageService.posterSrcsetFromTmdbPath(posterPath),
     added_at: null,
     runtime_minutes: null,
     genres: [],
@@ -237,7 +409,7 @@ function buildJellyseerrSearchVariants(query) {
   return variants;
 }
 
-export function createLibraryService({ config, jellyfinClient, imageService }) {
+export function createLibraryService({ config, jellyfinClient, imageService, searchIndexService = null }) {
   const { jellyfin } = config;
 
   async function fetchTmdbSearch(query, limit) {
@@ -282,7 +454,7 @@ export function createLibraryService({ config, jellyfinClient, imageService }) {
     const headers = { Accept: 'application/json', 'X-Api-Key': config.jellyseerr.apiKey };
     const r = await safeFetchJson(`${config.jellyseerr.url}/api/v1/search?${params}`, { headers }, config.timeoutMs);
     if (!r.ok) {
-      console.warn('jellyseerr search failed:', r.error);
+      logger.warn('jellyseerr search failed', { error: r.error });
       return new Set();
     }
     const ids = new Set();
@@ -319,7 +491,7 @@ export function createLibraryService({ config, jellyfinClient, imageService }) {
       const rows = Array.isArray(r.json?.results) ? r.json.results : [];
       for (const row of rows) {
         if (row?.mediaType !== 'movie') continue;
-        const item = normalizeJellyseerrSearchMovie(row);
+        const item = normalizeJellyseerrSearchMovie(row, imageService);
         const tmdbId = String(item?.provider_ids?.tmdb || '');
         if (!item || !tmdbId || seenTmdbIds.has(tmdbId)) continue;
         seenTmdbIds.add(tmdbId);
@@ -343,7 +515,7 @@ export function createLibraryService({ config, jellyfinClient, imageService }) {
     const headers = { Accept: 'application/json', 'X-Api-Key': config.radarr.apiKey };
     const r = await safeFetchJson(`${config.radarr.url}/api/v3/movie?tmdbId=${encodeURIComponent(String(tmdbId))}`, { headers }, config.timeoutMs);
     if (!r.ok) {
-      console.warn('radarr lookup failed:', r.error);
+      logger.warn('radarr lookup failed', { error: r.error });
       return false;
     }
     const rows = normalizeRadarrRows(r.json);
@@ -352,70 +524,147 @@ export function createLibraryService({ config, jellyfinClient, imageService }) {
     return requested;
   }
 
+  // Drops cached search state after a request is submitted, so the title shows up as
+  // `requested` on the next search instead of after the TTL. Jellyseerr requested-id sets are
+  // dropped wholesale: a set built before the request cannot contain the new id.
+  function invalidateSearchForTmdb(tmdbId) {
+    const id = String(tmdbId);
+    const hasTmdbItem = (items) => Array.isArray(items) && items.some((item) => String(item?.provider_ids?.tmdb) === id);
+
+    return invalidateCache((key, data) => {
+      if (key === `radarr-requested-${id}`) return true;
+      if (key.startsWith('jellyseerr-search-')) return true;
+      if (key.startsWith('tmdb-search-')) return Array.isArray(data) && data.some((result) => String(result?.id) === id);
+      if (key.startsWith('media-search-')) return hasTmdbItem(data?.items);
+      return false;
+    });
+  }
+
+  async function queryMovies(params, { played = null, startIndex = 0, limit }) {
+    const pageParams = new URLSearchParams(params);
+    pageParams.set('StartIndex', String(startIndex));
+    pageParams.set('Limit', String(limit));
+    if (played !== null) pageParams.set('IsPlayed', String(played));
+
+    const response = await jellyfinClient.getUserItems(jellyfin.userId, pageParams.toString());
+    if (!response.ok) return { ok: false, error: response.error };
+    const rawItems = Array.isArray(response.json?.Items) ? response.json.Items : [];
+    return {
+      ok: true,
+      items: rawItems.map((item) => normalizeMovie(item, imageService)),
+      total: Number.isFinite(response.json?.TotalRecordCount) ? response.json.TotalRecordCount : rawItems.length
+    };
+  }
+
+  // The whole normalized movie library, read page by page and cached, for facets, random picks
+  // and the search index.
+  function loadAllMovies() {
+    return withCache('jellyfin-library-movies-all', 30000, async () => {
+      const { params } = jellyfinLibraryParams();
+      const items = [];
+      while (true) {
+        const page = await queryMovies(params, { startIndex: items.length, limit: FULL_LIBRARY_PAGE });
+        if (!page.ok) return { items: [], warning: `jellyfin: ${page.error}` };
+        items.push(...page.items);
+        if (!page.items.length || items.length >= page.total) return { items };
+      }
+    }, { staleMs: 300000, isFailure: isDegradedPayload });
+  }
+
+  // Filters, sort and paging run in Jellyfin, so `total` is exact for libraries of any size.
   async function getLibrary(query = {}) {
     if (!jellyfin.configured) return { items: [], total: 0, warning: 'jellyfin not configured' };
 
     const limit = parsePositiveInt(query.limit, 50, { min: 1, max: 200 });
     const startIndex = parsePositiveInt(query.start_index ?? query.startIndex ?? query.offset, 0, { min: 0, max: 100000 });
-    const fetchLimit = parsePositiveInt(query.fetch_limit, 2000, { min: limit, max: 5000 });
-    const fields = [
-      'BasicSyncInfo',
-      'CanDelete',
-      'CommunityRating',
-      'CriticRating',
-      'DateCreated',
-      'Genres',
-      'OfficialRating',
-      'ProviderIds',
-      'PrimaryImageAspectRatio',
-      'ProductionYear',
-      'RunTimeTicks'
-    ].join(',');
-    const params = new URLSearchParams({
-      Recursive: 'true',
-      IncludeItemTypes: 'Movie',
-      SortBy: 'DateCreated',
-      SortOrder: 'Descending',
-      Limit: String(fetchLimit),
-      Fields: fields,
-      ImageTypeLimit: '1',
-      EnableImageTypes: 'Primary,Backdrop,Thumb',
-      EnableUserData: 'true',
-      EnableTotalRecordCount: 'true'
-    });
+    const unwatchedFirst = normalizeBoolean(query.unwatched_first, true);
+    const genre = query.genre ? await canonicalGenre(jellyfinClient, jellyfin.userId, query.genre) : query.genre;
+    const { params, played } = jellyfinLibraryParams({ ...query, genre });
 
-    const response = await jellyfinClient.getUserItems(jellyfin.userId, params.toString());
-    if (!response.ok) return { items: [], total: 0, warning: `jellyfin: ${response.error}` };
-
-    const rawItems = Array.isArray(response.json?.Items) ? response.json.Items : [];
-    const normalized = rawItems.map((item) => normalizeMovie(item, imageService));
-    const filtered = applyLocalFilters(normalized, query);
-    const sorted = sortLibrary(filtered, query);
-    const pageItems = sorted.slice(startIndex, startIndex + limit);
+    const page = unwatchedFirst && played === null
+      ? await queryUnwatchedFirst((page) => queryMovies(params, page), startIndex, limit)
+      : await queryMovies(params, { played, startIndex, limit });
+    if (!page.ok) return { items: [], total: 0, warning: `jellyfin: ${page.error}` };
 
     return {
-      items: pageItems,
-      total: filtered.length,
+      items: page.items,
+      total: page.total,
       start_index: startIndex,
       limit,
       source: 'jellyfin-user-items',
       sort: String(query.sort || 'recently_added'),
-      unwatched_first: normalizeBoolean(query.unwatched_first, true)
+      unwatched_first: unwatchedFirst
     };
   }
 
+  // Counts per genre, decade, official rating, community-rating band and played state for the
+  // current `/library` filters.
+  async function getFacets(query = {}) {
+    if (!jellyfin.configured) return { total: 0, facets: null, warning: 'jellyfin not configured' };
+
+    const movies = await loadAllMovies();
+    if (movies.warning) return { total: 0, facets: null, warning: movies.warning };
+
+    return { ...buildLibraryFacets(movies.items, query), source: 'jellyfin-user-items' };
+  }
+
+  // Random movies matching the `/library` filters plus `max_runtime` (minutes) and `min_rating`
+  // (community rating), skipping `exclude`d ids so clients can re-roll without repeats.
+  async function pickRandom(query = {}) {
+    const count = parsePositiveInt(query.count, 1, { min: 1, max: 20 });
+    const weight = String(query.weight || 'none').trim().toLowerCase();
+    if (!RANDOM_WEIGHTS.includes(weight)) {
+      return { ok: false, status: 400, error: `weight must be one of: ${RANDOM_WEIGHTS.join(', ')}` };
+    }
+    const maxRuntime = parseNumberParam('max_runtime', query.max_runtime);
+    if (maxRuntime.error) return { ok: false, status: 400, error: maxRuntime.error };
+    const minRating = parseNumberParam('min_rating', query.min_rating);
+    if (minRating.error) return { ok: false, status: 400, error: minRating.error };
+    const exclude = parseIdList(query.exclude);
+
+    if (!jellyfin.configured) return { items: [], total: 0, warning: 'jellyfin not configured' };
+    const movies = await loadAllMovies();
+    if (movies.warning) return { items: [], total: 0, warning: movies.warning };
+
+    const pool = applyLocalFilters(movies.items, query).filter((item) => {
+      if (exclude.has(String(item.id))) return false;
+      if (maxRuntime.value !== null && !(item.runtime_minutes && item.runtime_minutes <= maxRuntime.value)) return false;
+      if (minRating.value !== null && !(item.community_rating !== null && item.community_rating >= minRating.value)) return false;
+      return true;
+    });
+
+    const now = Date.now();
+    return {
+      items: weightedSample(pool, count, (item) => pickWeight(item, weight, now)),
+      total: pool.length,
+      count,
+      weight,
+      source: 'jellyfin-user-items'
+    };
+  }
+
+  // Library matches from the local index, ranked by relevance. Jellyfin's SearchTerm is used
+  // until the index is built, and when the index finds nothing (e.g. a movie added since the
+  // last rebuild).
+  async function searchLibrary(q, limit) {
+    if (searchIndexService?.isReady()) {
+      const indexed = searchIndexService.search(q, limit);
+      if (indexed.length) return { items: indexed, source: 'index' };
+    }
+    const response = await jellyfinClient.searchItems(q, 'Movie');
+    const items = response.ok
+      ? (Array.isArray(response.json?.Items) ? response.json.Items : []).map((item) => normalizeMovie(item, imageService))
+      : [];
+    return { items, source: 'jellyfin' };
+  }
+
   async function search(query = {}) {
     const q = String(query.q || '').trim();
     if (!q) return { ok: false, status: 400, error: 'missing query parameter: q' };
 
     const limit = parsePositiveInt(query.limit, 20, { min: 1, max: 50 });
-    const libraryResp = await jellyfinClient.searchItems(q, 'Movie');
-    const libraryItems = libraryResp.ok
-      ? (Array.isArray(libraryResp.json?.Items) ? libraryResp.json.Items : []).map((item) => ({
-          ...normalizeMovie(item, imageService),
-          library_state: 'in_library'
-        }))
-      : [];
+    const library = await searchLibrary(q, limit);
+    const libraryItems = library.items.map((item) => ({ ...item, library_state: 'in_library' }));
 
     const seenLibraryIds = new Set();
     const dedupedLibraryItems = libraryItems.filter((item) => {
@@ -445,7 +694,7 @@ export function createLibraryService({ config, jellyfinClient, imageService }) {
         const tmdbId = String(tmdbItem.id);
         if (libraryByTmdb.has(tmdbId)) continue;
         const externalIds = await fetchTmdbExternalIds(tmdbId);
-        const normalized = normalizeTmdbMovie(tmdbItem, externalIds);
+        const normalized = normalizeTmdbMovie(tmdbItem, externalIds, imageService);
         let library_state = 'available';
         if (requestedIds.has(tmdbId)) library_state = 'requested';
         else if (await isRequestedViaRadarr(tmdbId)) library_state = 'requested';
@@ -461,10 +710,10 @@ export function createLibraryService({ config, jellyfinClient, imageService }) {
 
     const source = usingTmdb ? 'jellyfin+tmdb' : 'jellyfin+jellyseerr';
     const items = [...dedupedLibraryItems, ...externalItems].slice(0, limit);
-    const payload = { items, total: items.length, query: q, limit, source };
+    const payload = { items, total: items.length, query: q, limit, source, library_source: library.source };
     if (!externalSearch.ok) payload.warning = externalSearch.error || 'external search unavailable';
     return payload;
   }
 
-  return { getLibrary, search };
+  return { getLibrary, getFacets, pickRandom, search, invalidateSearchForTmdb, listAllMovies: loadAllMovies };
 }
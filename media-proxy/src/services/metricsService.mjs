@@ -0,0 +1,150 @@
+import { onUpstreamCall } from '../lib/http.mjs';
+import { getCacheStats } from '../lib/cache.mjs';
+import { createCounter, createHistogram, createCollector, renderMetrics } from '../lib/metrics.mjs';
+
+const ACTIVITY_WINDOWS = [7, 30, 90, 365];
+
+function hostOf(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+export function createMetricsService({ config, imageService }) {
+  const httpRequests = createCounter({
+    name: 'media_proxy_http_requests_total',
+    help: 'HTTP requests handled by media-proxy.',
+    labelNames: ['method', 'route', 'status']
+  });
+  const httpDuration = createHistogram({
+    name: 'media_proxy_http_request_duration_seconds',
+    help: 'HTTP request latency by route.',
+    labelNames: ['method', 'route']
+  });
+  const upstreamRequests = createCounter({
+    name: 'media_proxy_upstream_requests_total',
+    help: 'Calls to upstream backends by outcome.',
+    labelNames: ['backend', 'outcome']
+  });
+  const upstreamDuration = createHistogram({
+    name: 'media_proxy_upstream_request_duration_seconds',
+    help: 'Upstream call latency by backend.',
+    labelNames: ['backend']
+  });
+
+  const activitySourceCounts = new Map();
+
+  createCollector({
+    name: 'media_proxy_cache_lookups_total',
+    help: 'Response and image cache lookups by result.',
+    type: 'counter',
+    collect: () => {
+      const response = getCacheStats();
+      const image = imageService.getCacheStats();
+      return [
+        { labels: { cache: 'response', result: 'hit' }, value: response.hits },
+        { labels: { cache: 'response', result: 'stale' }, value: response.stale_hits },
+        { labels: { cache: 'response', result: 'miss' }, value: response.misses },
+        { labels: { cache: 'image', result: 'hit' }, value: image.hits },
+        { labels: { cache: 'image', result: 'stale' }, value: image.stale_served },
+        { labels: { cache: 'image', result: 'miss' }, value: image.misses }
+      ];
+    }
+  });
+  createCollector({
+    name: 'media_proxy_cache_hit_ratio',
+    help: 'Share of cache lookups served from cache (stale included).',
+    collect: () => [
+      { labels: { cache: 'response' }, value: getCacheStats().hit_ratio },
+      { labels: { cache: 'image' }, value: imageService.getCacheStats().hit_ratio }
+    ]
+  });
+  createCollector({
+    name: 'media_proxy_cache_entries',
+    help: 'Entries currently held per cache.',
+    collect: () => [
+      { labels: { cache: 'response' }, value: getCacheStats().entries },
+      { labels: { cache: 'image' }, value: imageService.getCacheStats().entries }
+    ]
+  });
+  createCollector({
+    name: 'media_proxy_cache_bytes',
+    help: 'Approximate bytes currently held per cache.',
+    collect: () => [
+      { labels: { cache: 'response' }, value: getCacheStats().bytes },
+      { labels: { cache: 'image' }, value: imageService.getCacheStats().bytes }
+    ]
+  });
+  createCollector({
+    name: 'media_proxy_cache_evictions_total',
+    help: 'Entries evicted per cache.',
+    type: 'counter',
+    collect: () => [
+      { labels: { cache: 'response' }, value: getCacheStats().evictions },
+      { labels: { cache: 'image' }, value: imageService.getCacheStats().evictions }
+    ]
+  });
+  createCollector({
+    name: 'media_proxy_activity_events',
+    help: 'Playback events each activity source contributed to the latest aggregation, before and after dedupe.',
+    collect: () => Array.from(activitySourceCounts.values())
+  });
+
+  const backendsByHost = new Map();
+  const addBackend = (url, name) => {
+    const host = hostOf(url);
+    if (host && !backendsByHost.has(host)) backendsByHost.set(host, name);
+  };
+  addBackend(config.jellyfin?.url, 'jellyfin');
+  addBackend(config.tmdb?.baseUrl, 'tmdb');
+  addBackend('https://image.tmdb.org', 'tmdb');
+  addBackend(config.jellyseerr?.url, 'jellyseerr');
+  addBackend(config.radarr?.url, 'radarr');
+  addBackend(config.sonarr?.url, 'sonarr');
+
+  onUpstreamCall((call) => {
+    const backend = call.backend || backendsByHost.get(hostOf(call.url)) || 'other';
+    upstreamRequests.inc({ backend, outcome: call.ok ? 'ok' : 'error' });
+    upstreamDuration.observe({ backend }, (call.durationMs || 0) / 1000);
+  });
+
+  function requestMiddleware(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, seconds);
+    });
+    next();
+  }
+
+  // Activity ranges are caller-chosen (up to 400 days), so the label is bucketed to keep the
+  // series count fixed: the standard windows keep their value, anything else is `other`.
+  function activityWindowLabel(daysBack) {
+    return ACTIVITY_WINDOWS.includes(Number(daysBack)) ? String(daysBack) : 'other';
+  }
+
+  function recordActivitySources(daysBack, stats = {}) {
+    const window = activityWindowLabel(daysBack);
+    for (const [stage, bySource] of [['combined', stats.combined_by_source], ['deduped', stats.deduped_by_source]]) {
+      for (const key of activitySourceCounts.keys()) {
+        if (key.startsWith(`${window}|${stage}|`)) activitySourceCounts.delete(key);
+      }
+      for (const [source, value] of Object.entries(bySource || {})) {
+        activitySourceCounts.set(`${window}|${stage}|${source}`, {
+          labels: { window_days: window, stage, source },
+          value
+        });
+      }
+    }
+  }
+
+  return {
+    requestMiddleware,
+    recordActivitySources,
+    render: renderMetrics
+  };
+}
@@ -0,0 +1,135 @@
+import { createHash } from 'node:crypto';
+import { logger } from '../lib/logger.mjs';
+import { createUserAliases, PRIVATE_USER_ID } from '../lib/userAliases.mjs';
+
+const TICKS_PER_MS = 10_000;
+const PLAY_METHODS = {
+  DirectPlay: 'direct_play',
+  DirectStream: 'direct_stream',
+  Transcode: 'transcode'
+};
+
+function ticksToMs(ticks) {
+  const value = Number(ticks);
+  return Number.isFinite(value) && value > 0 ? Math.round(value / TICKS_PER_MS) : null;
+}
+
+// Session ids are Jellyfin auth-scoped identifiers, so only a short hash leaves the proxy.
+function sessionKey(session) {
+  return createHash('sha256').update(String(session.Id || '')).digest('base64url').slice(0, 12);
+}
+
+export function createNowPlayingService({ config, jellyfinClient, imageService }) {
+  const aliases = createUserAliases(config.users.aliases);
+  const { pollMs } = config.nowPlaying;
+
+  const subscribers = new Set();
+  let timer = null;
+  let polling = false;
+  let snapshot = null;
+  let signature = null;
+
+  function normalizeSession(session) {
+    const item = session.NowPlayingItem;
+    const playState = session.PlayState || {};
+    const positionMs = ticksToMs(playState.PositionTicks) ?? 0;
+    const runtimeMs = ticksToMs(item.RunTimeTicks);
+    const playMethod = PLAY_METHODS[playState.PlayMethod] || (session.TranscodingInfo ? 'transcode' : 'direct_play');
+    const isEpisode = item.Type === 'Episode';
+
+    return {
+      session_key: sessionKey(session),
+      id: item.Id,
+      media_type: String(item.Type || '').toLowerCase(),
+      title: item.Name || 'Unknown',
+      series_title: isEpisode ? item.SeriesName || null : null,
+      season_number: isEpisode ? item.ParentIndexNumber ?? null : null,
+      episode_number: isEpisode ? item.IndexNumber ?? null : null,
+      year: item.ProductionYear || null,
+      poster: imageService.posterFromJellyfinItem(item),
+      progress_percent: runtimeMs ? Math.min(100, Math.round((positionMs / runtimeMs) * 1000) / 10) : null,
+      position_ms: positionMs,
+      runtime_ms: runtimeMs,
+      paused: Boolean(playState.IsPaused),
+      play_method: playMethod,
+      transcoding: playMethod === 'transcode',
+      user: aliases.publicName(session.UserId),
+      [PRIVATE_USER_ID]: session.UserId || null
+    };
+  }
+
+  async function getNowPlaying() {
+    const r = await jellyfinClient.getSessions();
+    if (!r.ok) {
+      return { items: [], total: 0, source: 'jellyfin', warning: r.error || 'Unable to read Jellyfin sessions' };
+    }
+
+    const sessions = Array.isArray(r.json) ? r.json : [];
+    const items = sessions
+      .filter((session) => session?.NowPlayingItem?.Id)
+      .map(normalizeSession)
+      .sort((a, b) => a.session_key.localeCompare(b.session_key));
+
+    return { items, total: items.length, source: 'jellyfin' };
+  }
+
+  function broadcast(payload) {
+    for (const listener of subscribers) {
+      try {
+        listener(payload);
+      } catch (error) {
+        logger.warn('now-playing subscriber failed', { error: error.message });
+      }
+    }
+  }
+
+  // One poll loop serves every stream subscriber. A failed poll keeps the last good snapshot
+  // rather than blanking every connected client.
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const payload = await getNowPlaying();
+      if (payload.warning && snapshot) return;
+
+      const nextSignature = JSON.stringify([payload.items, payload.warning || null]);
+      if (nextSignature === signature) return;
+      signature = nextSignature;
+      snapshot = payload;
+      broadcast(payload);
+    } catch (error) {
+      logger.error('now-playing poll failed', { error: error.message });
+    } finally {
+      polling = false;
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    snapshot = null;
+    signature = null;
+  }
+
+  function subscribe(listener) {
+    subscribers.add(listener);
+    if (snapshot) listener(snapshot);
+
+    if (!timer) {
+      timer = setInterval(poll, pollMs);
+      timer.unref?.();
+      poll();
+    }
+
+    return () => {
+      subscribers.delete(listener);
+      if (!subscribers.size) stop();
+    };
+  }
+
+  return {
+    getNowPlaying,
+    subscribe,
+    getSubscriberCount: () => subscribers.size
+  };
+}
@@ -1,54 +1,219 @@
+import { logger } from '../lib/logger.mjs';
+
+const RECENTLY_ADDED_TYPES = { movie: 'Movie', episode: 'Episode' };
+const RECENTLY_ADDED_GROUPS = ['season'];
+const ITEM_FIELDS = 'BasicSyncInfo,CanDelete,PrimaryImageAspectRatio,ProductionYear,DateCreated';
+// Episodes of one season added within this gap of each other count as one season drop.
+const SEASON_DROP_GAP_MS = 6 * 60 * 60 * 1000;
+// Grouped pages are read from Jellyfin in chunks until enough entries are complete.
+const GROUP_FETCH_PAGE = 200;
+const GROUP_FETCH_MAX_ITEMS = 2000;
+
 export function createRecentlyAddedService({ config, jellyfinClient, imageService }) {
   const { jellyfin } = config;
 
-  async function getRecentlyAdded(limit = 10) {
-    if (!jellyfin.configured) return { items: [], warning: 'jellyfin not configured' };
+  // Validates `/recently-added` filters; unknown values are rejected rather than ignored.
+  function resolveFilters(query = {}) {
+    const type = String(query.type ?? '').trim().toLowerCase() || null;
+    if (type && !RECENTLY_ADDED_TYPES[type]) {
+      return { error: `type must be one of: ${Object.keys(RECENTLY_ADDED_TYPES).join(', ')}` };
+    }
 
-    let r = await jellyfinClient.request(`/Items?SortBy=DateCreated&SortOrder=Descending&Limit=${limit}&Recursive=true&Fields=BasicSyncInfo,CanDelete,PrimaryImageAspectRatio,ProductionYear,DateCreated&ImageTypeLimit=1&EnableImageTypes=Primary,Backdrop,Thumb&IncludeItemTypes=Movie,Episode`);
-    let list = r.ok ? (r.json?.Items || []) : [];
-    let source = 'jellyfin-global-items';
+    const library = String(query.library ?? '').trim() || null;
+    if (library && !/^[A-Za-z0-9-]+$/.test(library)) return { error: 'invalid library: expected a Jellyfin library id' };
 
-    if (!r.ok || !list.length) {
-      const fallback = await jellyfinClient.request(`/Users/${jellyfin.userId}/Items/Latest?Limit=${limit}&Fields=BasicSyncInfo,CanDelete,PrimaryImageAspectRatio,ProductionYear,DateCreated&ImageTypeLimit=1&EnableImageTypes=Primary,Backdrop,Thumb`);
-      if (!fallback.ok) return { items: [], warning: `jellyfin: ${fallback.error}` };
-      list = fallback.json || [];
-      source = 'jellyfin-user-latest-fallback';
+    const group = String(query.group ?? '').trim().toLowerCase() || null;
+    if (group && !RECENTLY_ADDED_GROUPS.includes(group)) {
+      return { error: `group must be one of: ${RECENTLY_ADDED_GROUPS.join(', ')}` };
     }
 
-    const items = [];
+    const rawStartIndex = query.start_index ?? query.startIndex ?? 0;
+    return {
+      filters: {
+        type,
+        library,
+        group,
+        startIndex: Math.max(0, Math.floor(Number(rawStartIndex) || 0))
+      }
+    };
+  }
+
+  function itemsQuery(filters, startIndex, limit) {
+    const params = new URLSearchParams({
+      SortBy: 'DateCreated',
+      SortOrder: 'Descending',
+      StartIndex: String(startIndex),
+      Limit: String(limit),
+      Recursive: 'true',
+      Fields: ITEM_FIELDS,
+      ImageTypeLimit: '1',
+      EnableImageTypes: 'Primary,Backdrop,Thumb',
+      IncludeItemTypes: filters.type ? RECENTLY_ADDED_TYPES[filters.type] : 'Movie,Episode',
+      EnableTotalRecordCount: 'true'
+    });
+    if (filters.library) params.set('ParentId', filters.library);
+    return params;
+  }
 
-    for (const item of list) {
-      let title = item.Name || 'Unknown';
-      let grandparent_title = null;
+  function normalizeAddedItem(item) {
+    let title = item.Name || 'Unknown';
+    let grandparent_title = null;
 
-      if (item.Type === 'Episode') {
-        grandparent_title = item.SeriesName;
-        if (item.SeasonName && item.IndexNumber) {
-          title = `${item.SeasonName} E${item.IndexNumber} - ${item.Name}`;
-        }
-      } else if (item.Type === 'Season') {
-        grandparent_title = item.SeriesName;
-        title = `${item.Name}`;
+    if (item.Type === 'Episode') {
+      grandparent_title = item.SeriesName;
+      if (item.SeasonName && item.IndexNumber) {
+        title = `${item.SeasonName} E${item.IndexNumber} - ${item.Name}`;
       }
+    } else if (item.Type === 'Season') {
+      grandparent_title = item.SeriesName;
+      title = `${item.Name}`;
+    }
+
+    const addedAt = item.DateCreated ? new Date(item.DateCreated).getTime() : Date.now();
+    const poster = imageService.posterFromJellyfinItem(item);
+
+    logger.debug('recently added item', { item_id: item.Id || null, type: item.Type || null, has_poster: Boolean(poster) });
 
-      const addedAt = item.DateCreated ? new Date(item.DateCreated).getTime() : Date.now();
-      const poster = imageService.posterFromJellyfinItem(item);
+    return {
+      id: item.Id || null,
+      title,
+      grandparent_title,
+      series_id: item.SeriesId || null,
+      year: item.ProductionYear || null,
+      added_at: addedAt,
+      media_type: item.Type?.toLowerCase() || '',
+      poster
+    };
+  }
+
+  function seasonKey(item) {
+    if (item.Type !== 'Episode') return null;
+    return item.SeasonId || (item.SeriesId ? `${item.SeriesId}:${item.ParentIndexNumber ?? ''}` : null);
+  }
 
-      console.log(`Jellyfin recently added item: ${title} (${item.Type || 'unknown type'}) - poster: ${poster ? 'yes' : 'no'}`);
+  // `raw` is a run of episodes of one season, newest first. The entry links to the season so
+  // clients can open it at `/items/:id`.
+  function seasonDrop(raw) {
+    const latest = raw[0];
+    const addedAt = (item) => (item.DateCreated ? new Date(item.DateCreated).getTime() : Date.now());
+    const seasonLabel = latest.SeasonName || (Number.isFinite(latest.ParentIndexNumber) ? `Season ${latest.ParentIndexNumber}` : 'Season');
+    const seriesName = latest.SeriesName || 'Unknown';
+    return {
+      id: latest.SeasonId || latest.SeriesId || latest.Id || null,
+      title: `${seriesName} — ${seasonLabel} (${raw.length} new episodes)`,
+      grandparent_title: seriesName,
+      series_id: latest.SeriesId || null,
+      season_number: latest.ParentIndexNumber ?? null,
+      year: latest.ProductionYear || null,
+      added_at: addedAt(latest),
+      first_added_at: addedAt(raw[raw.length - 1]),
+      media_type: 'season',
+      group: 'season',
+      episode_count: raw.length,
+      poster: imageService.posterFromJellyfinItem({
+        Id: latest.SeriesId,
+        Type: 'Season',
+        SeriesId: latest.SeriesId,
+        SeriesPrimaryImageTag: latest.SeriesPrimaryImageTag
+      }) || imageService.posterFromJellyfinItem(latest)
+    };
+  }
 
-      items.push({
-        title,
-        grandparent_title,
-        year: item.ProductionYear || null,
-        added_at: addedAt,
-        media_type: item.Type?.toLowerCase() || '',
-        poster
+  // Collapses consecutive episodes of one season (newest first, each added within
+  // SEASON_DROP_GAP_MS of the next) into a season entry. Single episodes and movies pass through.
+  // `complete` is false for the last run, which may continue on the next upstream page.
+  function groupSeasonDrops(rawItems, exhausted) {
+    const entries = [];
+    let run = null;
+    const flush = (complete) => {
+      if (!run) return;
+      entries.push({
+        item: run.items.length > 1 ? seasonDrop(run.items) : normalizeAddedItem(run.items[0]),
+        complete
       });
+      run = null;
+    };
+
+    for (const item of rawItems) {
+      const key = seasonKey(item);
+      const previous = run?.items[run.items.length - 1];
+      const gap = previous ? new Date(previous.DateCreated).getTime() - new Date(item.DateCreated).getTime() : Infinity;
+      if (key && run?.key === key && gap <= SEASON_DROP_GAP_MS) {
+        run.items.push(item);
+        continue;
+      }
+      flush(true);
+      if (key) run = { key, items: [item] };
+      else entries.push({ item: normalizeAddedItem(item), complete: true });
     }
+    flush(exhausted);
+    return entries;
+  }
+
+  async function getGroupedPage(limit, filters) {
+    const rawItems = [];
+    let exhausted = false;
+    let entries = [];
+    while (true) {
+      const r = await jellyfinClient.request(`/Items?${itemsQuery(filters, rawItems.length, GROUP_FETCH_PAGE)}`);
+      if (!r.ok) return { ok: false, error: r.error };
+      const page = Array.isArray(r.json?.Items) ? r.json.Items : [];
+      rawItems.push(...page);
+      exhausted = page.length < GROUP_FETCH_PAGE;
+      entries = groupSeasonDrops(rawItems, exhausted);
+      const needed = filters.startIndex + limit;
+      if (exhausted || entries.filter((entry) => entry.complete).length >= needed || rawItems.length >= GROUP_FETCH_MAX_ITEMS) break;
+    }
+
+    return {
+      ok: true,
+      items: entries.slice(filters.startIndex, filters.startIndex + limit).map((entry) => entry.item),
+      total: exhausted ? entries.length : null
+    };
+  }
+
+  async function getRecentlyAdded(limit = 10, filters = resolveFilters().filters) {
+    if (!jellyfin.configured) return { items: [], total: 0, warning: 'jellyfin not configured' };
+
+    const envelope = { start_index: filters.startIndex, limit };
+    if (filters.group === 'season' && filters.type !== 'movie') {
+      const grouped = await getGroupedPage(limit, filters);
+      if (grouped.ok) return { items: grouped.items, total: grouped.total, ...envelope, source: 'jellyfin-global-items' };
+      logger.warn('recently added grouping failed', { error: grouped.error });
+    } else {
+      const r = await jellyfinClient.request(`/Items?${itemsQuery(filters, filters.startIndex, limit)}`);
+      const list = r.ok ? (r.json?.Items || []) : [];
+      if (r.ok && (list.length || filters.startIndex > 0)) {
+        return {
+          items: list.map(normalizeAddedItem),
+          total: Number.isFinite(r.json?.TotalRecordCount) ? r.json.TotalRecordCount : null,
+          ...envelope,
+          source: 'jellyfin-global-items'
+        };
+      }
+    }
+
+    // Jellyfin's per-user "latest" view cannot page, so the fallback slices one window.
+    const params = new URLSearchParams({
+      Limit: String(filters.startIndex + limit),
+      Fields: ITEM_FIELDS,
+      ImageTypeLimit: '1',
+      EnableImageTypes: 'Primary,Backdrop,Thumb'
+    });
+    if (filters.type) params.set('IncludeItemTypes', RECENTLY_ADDED_TYPES[filters.type]);
+    if (filters.library) params.set('ParentId', filters.library);
+    const fallback = await jellyfinClient.request(`/Users/${jellyfin.userId}/Items/Latest?${params}`);
+    if (!fallback.ok) return { items: [], total: 0, ...envelope, warning: `jellyfin: ${fallback.error}` };
 
+    const items = (Array.isArray(fallback.json) ? fallback.json : []).map(normalizeAddedItem);
     items.sort((a, b) => (b.added_at || 0) - (a.added_at || 0));
-    return { items, source };
+    return {
+      items: items.slice(filters.startIndex, filters.startIndex + limit),
+      total: null,
+      ...envelope,
+      source: 'jellyfin-user-latest-fallback'
+    };
   }
 
-  return { getRecentlyAdded };
+  return { resolveFilters, getRecentlyAdded };
 }
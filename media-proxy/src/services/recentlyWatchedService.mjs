@@ -1,18 +1,237 @@
-import { normalizeTimestamp } from '../lib/time.mjs';
 import { normalizeKey } from '../lib/normalize.mjs';
+import { logger } from '../lib/logger.mjs';
+import { isPlaybackEntry, playbackItemName, entryTimestamp } from '../lib/activityLog.mjs';
+import { parseZonedDate } from '../lib/time.mjs';
+import { createUserAliases, PRIVATE_USER_ID } from '../lib/userAliases.mjs';
 
-export function createRecentlyWatchedService({ config, jellyfinClient, imageService, playbackRepository }) {
+const RECENTLY_WATCHED_TYPES = ['movie', 'episode', 'series'];
+const RECENTLY_WATCHED_GROUPS = ['series'];
+
+export function createRecentlyWatchedService({ config, jellyfinClient, imageService, playbackRepository, historyService }) {
   const { jellyfin } = config;
-  const RECENTLY_WATCHED_TYPE_FILTERS = {
-    movie: (item) => item?.media_type === 'movie'
-  };
+  const aliases = createUserAliases(config.users.aliases);
+  const { seriesSessionGapMs } = config.recentlyWatched;
+
+  // `since`/`until` take epoch milliseconds (as in `watched_at`), `YYYY-MM-DD` local days or ISO
+  // timestamps with an offset.
+  function parseTimeFilter(name, value, options) {
+    const raw = String(value ?? '').trim();
+    if (!raw) return { ms: null };
+    const ms = /^\d+$/.test(raw) ? Number(raw) : parseZonedDate(raw, config.activityTimezone, options);
+    return ms === null ? { error: `invalid ${name}: expected epoch ms, YYYY-MM-DD or an ISO timestamp with offset` } : { ms };
+  }
+
+  // Cursors are opaque to clients: the last item's watched_at plus a tiebreaker, the store id for
+  // history rows or the live sort key (`liveKey`) for live rows.
+  function encodeCursor(watchedAt, tiebreaker = null) {
+    return Buffer.from(`${watchedAt}.${tiebreaker ?? ''}`).toString('base64url');
+  }
+
+  function decodeCursor(value) {
+    const match = Buffer.from(String(value), 'base64url').toString().match(/^(\d+)\.([\w:-]*)$/);
+    if (!match) return null;
+    const id = /^\d+$/.test(match[2]) ? Number(match[2]) : Number.MAX_SAFE_INTEGER;
+    return { watched_at: Number(match[1]), id, key: match[2] || null };
+  }
+
+  // Live rows have no store id, so plays sharing a watched_at are ordered by user and item.
+  function liveKey(item) {
+    return `${item.user_id || ''}:${item.id || ''}`;
+  }
+
+  function compareLive(a, b) {
+    const byTime = (b.watched_at || 0) - (a.watched_at || 0);
+    if (byTime) return byTime;
+    const aKey = liveKey(a);
+    const bKey = liveKey(b);
+    return aKey < bKey ? 1 : aKey > bKey ? -1 : 0;
+  }
+
+  // Same (watched_at, tiebreaker) tuple comparison as the history path's SQL; a cursor without a
+  // tiebreaker keeps every row of its timestamp out.
+  function isAfterCursor(item, cursor) {
+    const ms = Number(item.watched_at || 0);
+    if (ms !== cursor.watched_at) return ms > cursor.watched_at;
+    return !cursor.key || liveKey(item) >= cursor.key;
+  }
+
+  // Validates `/recently-watched` filters; unknown values are rejected rather than ignored.
+  function resolveFilters(query = {}) {
+    const type = String(query.type ?? '').trim().toLowerCase() || null;
+    if (type && !RECENTLY_WATCHED_TYPES.includes(type)) {
+      return { error: `type must be one of: ${RECENTLY_WATCHED_TYPES.join(', ')}` };
+    }
+
+    const since = parseTimeFilter('since', query.since);
+    if (since.error) return { error: since.error };
+    const until = parseTimeFilter('until', query.until, { endOfDay: true });
+    if (until.error) return { error: until.error };
+    if (since.ms !== null && until.ms !== null && since.ms >= until.ms) return { error: 'since must be before until' };
+
+    const group = String(query.group ?? '').trim().toLowerCase() || null;
+    if (group && !RECENTLY_WATCHED_GROUPS.includes(group)) {
+      return { error: `group must be one of: ${RECENTLY_WATCHED_GROUPS.join(', ')}` };
+    }
+
+    const rawUser = String(query.user ?? '').trim();
+    const user = rawUser ? aliases.findAlias(rawUser) : null;
+    if (rawUser && !user) return { error: `unknown user: ${rawUser}` };
+
+    const rawCursor = String(query.cursor ?? '').trim();
+    const cursor = rawCursor ? decodeCursor(rawCursor) : null;
+    if (rawCursor && !cursor) return { error: 'invalid cursor' };
+
+    const rawStartIndex = query.start_index ?? query.startIndex ?? 0;
+    return {
+      filters: {
+        type,
+        sinceMs: since.ms,
+        untilMs: until.ms,
+        user,
+        group,
+        cursor,
+        startIndex: cursor ? 0 : Math.max(0, Math.floor(Number(rawStartIndex) || 0))
+      }
+    };
+  }
+
+  // One row per series, newest play first, shown as the series with its latest episode.
+  function latestPerSeries(items) {
+    const seen = new Set();
+    return items.filter((item) => {
+      if (item.media_type !== 'episode') return false;
+      const key = String(item.grandparent_title || item.title || '').toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }).map((item) => ({
+      ...item,
+      title: item.grandparent_title || item.title,
+      grandparent_title: null,
+      media_type: 'series',
+      last_episode: item.title
+    }));
+  }
+
+  function applyFilters(items, filters) {
+    const filtered = items.filter((item) => {
+      const ms = Number(item.watched_at || 0);
+      if (filters.type === 'movie' && item.media_type !== 'movie') return false;
+      if (filters.type === 'episode' && item.media_type !== 'episode') return false;
+      if (filters.sinceMs !== null && ms < filters.sinceMs) return false;
+      if (filters.untilMs !== null && ms >= filters.untilMs) return false;
+      if (filters.cursor && isAfterCursor(item, filters.cursor)) return false;
+      return !filters.user || aliases.publicName(item.user_id) === filters.user;
+    });
+    return filters.type === 'series' ? latestPerSeries(filtered) : filtered;
+  }
+
+  function hasFilters(filters) {
+    return Boolean(filters.type || filters.sinceMs !== null || filters.untilMs !== null || filters.user || filters.group || filters.cursor);
+  }
+
+  function seriesKey(item) {
+    return item.series_id || normalizeKey(item.grandparent_title) || null;
+  }
+
+  // `items` are a run of episodes of one series, newest first.
+  function seriesSession(items, posterFor) {
+    const latest = items[0];
+    const earliest = items[items.length - 1];
+    const userIds = [...new Set(items.map((item) => item.user_id))];
+    return {
+      id: latest.series_id || null,
+      user_id: userIds.length === 1 ? latest.user_id : null,
+      // A session mixing users shows no user, but redaction still sees every one of them.
+      [PRIVATE_USER_ID]: userIds,
+      title: latest.grandparent_title || latest.title,
+      grandparent_title: null,
+      series_id: latest.series_id || null,
+      year: latest.year || null,
+      watched_at: latest.watched_at,
+      media_type: 'series',
+      group: 'series',
+      episode_count: items.length,
+      first_episode: earliest.title,
+      last_episode: latest.title,
+      started_at: earliest.watched_at,
+      ended_at: latest.watched_at,
+      poster: (latest.series_id && posterFor(latest)) || latest.poster
+    };
+  }
+
+  // Collapses consecutive episodes of one series (newest first, each started within
+  // SERIES_SESSION_GAP_MINUTES of the next) into a session entry. Single episodes and movies pass
+  // through. `lastIndex` is each entry's oldest input row, for cursors.
+  function groupSeriesSessions(items, posterFor) {
+    const entries = [];
+    let run = null;
+    const flush = () => {
+      if (!run) return;
+      const item = run.items.length > 1 ? seriesSession(run.items, posterFor) : run.items[0];
+      entries.push({ item, lastIndex: run.lastIndex });
+      run = null;
+    };
+
+    items.forEach((item, index) => {
+      const key = item.media_type === 'episode' ? seriesKey(item) : null;
+      const previous = run?.items[run.items.length - 1];
+      if (key && run?.key === key && previous.watched_at - item.watched_at <= seriesSessionGapMs) {
+        run.items.push(item);
+        run.lastIndex = index;
+        return;
+      }
+      flush();
+      if (key) run = { key, items: [item], lastIndex: index };
+      else entries.push({ item, lastIndex: index });
+    });
+    flush();
+    return entries;
+  }
+
+  function isGrouped(filters) {
+    return filters.group === 'series' && filters.type !== 'movie' && filters.type !== 'series';
+  }
+
+  // Page envelope shared by the history and live paths. A full page carries `next_cursor`.
+  function pageOf(items, limit, filters, lastCursor, extra) {
+    return {
+      items,
+      start_index: filters.startIndex,
+      limit,
+      next_cursor: items.length && items.length === limit ? lastCursor : null,
+      ...extra
+    };
+  }
+
+  // Live sources only read the newest plays (`items`, newest first). A cursor or since/until page
+  // that comes back short while its range reaches past the oldest play read may be missing older
+  // plays, so it says so instead of looking like the end of history.
+  function liveWindowWarning(page, items, filters) {
+    if (!filters.cursor && filters.sinceMs === null && filters.untilMs === null) return null;
+    if (page.next_cursor) return null;
+    const oldest = items.length ? Number(items[items.length - 1].watched_at || 0) : null;
+    if (oldest !== null && filters.sinceMs !== null && filters.sinceMs >= oldest) return null;
+    return 'live sources only cover the most recent plays; older plays in this cursor or range are missing (set HISTORY_DB_PATH to keep full history)';
+  }
+
+  function livePage(items, limit, filters, extra) {
+    const filtered = applyFilters(items, filters);
+    let page;
+    if (isGrouped(filters)) {
+      const posterFor = (item) => imageService.fallbackPrimaryPoster(item.series_id);
+      const entries = groupSeriesSessions(filtered, posterFor).slice(filters.startIndex, filters.startIndex + limit);
+      const last = entries[entries.length - 1];
+      const lastItem = last ? filtered[last.lastIndex] : null;
+      page = pageOf(entries.map((entry) => entry.item), limit, filters, lastItem ? encodeCursor(lastItem.watched_at, liveKey(lastItem)) : null, extra);
+    } else {
+      const pageItems = filtered.slice(filters.startIndex, filters.startIndex + limit);
+      const last = pageItems[pageItems.length - 1];
+      page = pageOf(pageItems, limit, filters, last ? encodeCursor(last.watched_at, liveKey(last)) : null, extra);
+    }
 
-  function applyTypeFilter(items, type) {
-    const normalizedType = String(type || '').trim().toLowerCase();
-    if (!normalizedType) return items;
-    const filter = RECENTLY_WATCHED_TYPE_FILTERS[normalizedType];
-    if (!filter) return items;
-    return items.filter(filter);
+    const windowWarning = liveWindowWarning(page, items, filters);
+    return windowWarning ? { ...page, warning: [extra.warning, windowWarning].filter(Boolean).join(' | ') } : page;
   }
 
   async function getRecentWatchedAllUsers(limit = 12, resultLimit = limit) {
@@ -48,6 +267,7 @@ export function createRecentlyWatchedService({ config, jellyfinClient, imageServ
             user_id: user.Id,
             title,
             grandparent_title,
+            series_id: item.SeriesId || null,
             year: item.ProductionYear || null,
             watched_at: new Date(item.UserData.LastPlayedDate).getTime(),
             media_type: item.Type?.toLowerCase() || '',
@@ -82,28 +302,6 @@ export function createRecentlyWatchedService({ config, jellyfinClient, imageServ
       return { ok: false, error: 'No activity log entries found' };
     }
 
-    const isPlaybackEntry = (entry) => {
-      const hay = `${entry?.Type || ''} ${entry?.Name || ''} ${entry?.ShortOverview || ''} ${entry?.Overview || ''}`.toLowerCase();
-      return hay.includes('playback') || hay.includes('played') || hay.includes('stopped');
-    };
-
-    const normalizeTitle = (entry) => {
-      const candidates = [
-        entry?.ItemName,
-        entry?.Name,
-        entry?.ShortOverview,
-        entry?.Overview
-      ].filter(Boolean);
-      if (!candidates.length) return 'Unknown';
-      let title = String(candidates[0]);
-      title = title.replace(/^[^:]{1,64}:\s*/, '');
-      title = title.replace(/^.+?\bhas finished playing\b\s+/i, '');
-      title = title.replace(/^.+?\bhas started playing\b\s+/i, '');
-      title = title.replace(/^.+?\bplayed\b\s+/i, '');
-      title = title.replace(/\s+\bon\b\s+.+$/i, '');
-      return title.trim() || 'Unknown';
-    };
-
     const hydratedItemCache = new Map();
     async function hydrateItem(item) {
       if (!item?.Id) return item || null;
@@ -176,15 +374,16 @@ export function createRecentlyWatchedService({ config, jellyfinClient, imageServ
     const rows = entries
       .filter(isPlaybackEntry)
       .map((entry) => {
-        const watchedAtDate = normalizeTimestamp(entry?.Date || entry?.DateCreated || entry?.Timestamp || entry?.Time);
+        const watchedAtDate = entryTimestamp(entry);
         if (!watchedAtDate) return null;
         const itemId = entry?.ItemId ? String(entry.ItemId) : null;
-        const cleanedTitle = normalizeTitle(entry);
+        const cleanedTitle = playbackItemName(entry) || 'Unknown';
         return {
           id: itemId,
           user_id: entry?.UserId ? String(entry.UserId) : null,
           title: cleanedTitle,
           grandparent_title: null,
+          series_id: null,
           year: null,
           watched_at: watchedAtDate.getTime(),
           media_type: '',
@@ -230,6 +429,7 @@ export function createRecentlyWatchedService({ config, jellyfinClient, imageServ
           user_id: row.user_id || null,
           title,
           grandparent_title,
+          series_id: detail.SeriesId || null,
           year: detail.ProductionYear || null,
           watched_at: row.watched_at,
           media_type: detail.Type?.toLowerCase() || '',
@@ -248,10 +448,8 @@ export function createRecentlyWatchedService({ config, jellyfinClient, imageServ
       return { ok: false, error: 'JELLYFIN_DB_PATH not configured' };
     }
 
-    let db;
     try {
-      db = playbackRepository.openDatabase();
-      const rows = playbackRepository.getRecentPlaybackRows(db, limit);
+      const rows = playbackRepository.getRecentPlaybackRows(limit);
       if (!rows.length) {
         return { ok: false, error: 'No playback rows found in reporting DB' };
       }
@@ -284,8 +482,11 @@ export function createRecentlyWatchedService({ config, jellyfinClient, imageServ
         }
 
         items.push({
+          id: source.Id || row.item_id || null,
+          user_id: row.user_id || null,
           title,
           grandparent_title,
+          series_id: source.SeriesId || null,
           year: source.ProductionYear || null,
           watched_at: row.played_at.getTime(),
           media_type: source.Type?.toLowerCase() || '',
@@ -297,17 +498,121 @@ export function createRecentlyWatchedService({ config, jellyfinClient, imageServ
       return { ok: true, items };
     } catch (error) {
       return { ok: false, error: error.message };
-    } finally {
-      if (db) {
-        try { db.close(); } catch {}
-      }
     }
   }
 
-  async function getRecentlyWatched(limit = 12, options = {}) {
-    const filteredType = String(options?.type || '').trim().toLowerCase();
-    const startIndex = Math.max(0, Math.floor(Number(options?.startIndex) || 0));
-    if (!jellyfin.configured) return { items: [], start_index: startIndex, limit, warning: 'jellyfin not configured' };
+  // Store rows carry the Jellyfin fields a poster needs, so no item lookups happen per request.
+  function itemFromHistoryRow(row) {
+    let title = row.item_name || 'Unknown';
+    if (row.item_type === 'episode' && row.season_name && row.episode_number) {
+      title = `${row.season_name} E${row.episode_number} - ${row.item_name}`;
+    }
+
+    const poster = row.item_id
+      ? imageService.posterFromJellyfinItem({
+        Id: row.item_id,
+        Type: row.item_type === 'episode' ? 'Episode' : null,
+        ImageTags: row.primary_image_tag ? { Primary: row.primary_image_tag } : {},
+        SeriesId: row.series_id,
+        SeriesPrimaryImageTag: row.series_primary_image_tag
+      }) || imageService.fallbackPrimaryPoster(row.item_id)
+      : null;
+
+    return {
+      id: row.item_id || null,
+      user_id: row.user_id || null,
+      title,
+      grandparent_title: row.series_name || null,
+      series_id: row.series_id || null,
+      year: row.year || null,
+      watched_at: row.watched_at,
+      media_type: row.item_type || '',
+      poster
+    };
+  }
+
+  function seriesFromHistoryRow(row) {
+    const episode = itemFromHistoryRow(row);
+    const seriesId = row.series_id || null;
+    const poster = seriesPosterFromHistoryRow(row) || episode.poster;
+
+    return {
+      ...episode,
+      id: seriesId || episode.id,
+      title: row.series_name || episode.title,
+      grandparent_title: null,
+      media_type: 'series',
+      last_episode: episode.title,
+      poster
+    };
+  }
+
+  function historyQuery(filters) {
+    return {
+      type: filters.type,
+      sinceMs: filters.sinceMs,
+      untilMs: filters.untilMs,
+      userIds: filters.user ? aliases.userIdsFor(filters.user) : null
+    };
+  }
+
+  function seriesPosterFromHistoryRow(row) {
+    if (!row.series_id) return null;
+    return imageService.posterFromJellyfinItem({
+      Id: row.series_id,
+      ImageTags: row.series_primary_image_tag ? { Primary: row.series_primary_image_tag } : {}
+    }) || imageService.fallbackPrimaryPoster(row.series_id);
+  }
+
+  // Sessions can span store pages, so rows are read until one more entry than needed has started
+  // (closing the last needed one) or history runs out.
+  function getGroupedFromHistory(limit, filters) {
+    const needed = filters.startIndex + limit;
+    const pageSize = Math.max(limit * 4, 50);
+    const rows = [];
+    let entries = [];
+    let before = filters.cursor;
+
+    while (true) {
+      const page = historyService.listWatched({ ...historyQuery(filters), before, limit: pageSize });
+      rows.push(...page);
+      const items = rows.map(itemFromHistoryRow);
+      const posters = new Map(rows.map((row) => [row.series_id, seriesPosterFromHistoryRow(row)]));
+      entries = groupSeriesSessions(items, (item) => posters.get(item.series_id));
+      if (page.length < pageSize || entries.length > needed) break;
+      before = page[page.length - 1];
+    }
+
+    const pageEntries = entries.slice(filters.startIndex, needed);
+    const last = pageEntries.length ? rows[pageEntries[pageEntries.length - 1].lastIndex] : null;
+    return pageOf(pageEntries.map((entry) => entry.item), limit, filters, last ? encodeCursor(last.watched_at, last.id) : null, { source: 'history' });
+  }
+
+  // Filters and cursors run in SQL, so deep pages cost one indexed query.
+  function getRecentlyWatchedFromHistory(limit, filters) {
+    if (isGrouped(filters)) return getGroupedFromHistory(limit, filters);
+
+    const rows = historyService.listWatched({
+      ...historyQuery(filters),
+      before: filters.cursor,
+      limit,
+      offset: filters.startIndex
+    });
+    const last = rows[rows.length - 1];
+    const items = rows.map(filters.type === 'series' ? seriesFromHistoryRow : itemFromHistoryRow);
+    return pageOf(items, limit, filters, last ? encodeCursor(last.watched_at, last.id) : null, { source: 'history' });
+  }
+
+  async function getRecentlyWatched(limit = 12, filters = resolveFilters().filters) {
+    const { startIndex } = filters;
+    if (historyService?.isReady()) {
+      try {
+        return getRecentlyWatchedFromHistory(limit, filters);
+      } catch (error) {
+        logger.warn('history store read failed, using live sources', { error: error.message });
+      }
+    }
+    if (!jellyfin.configured) return { items: [], start_index: startIndex, limit, next_cursor: null, warning: 'jellyfin not configured' };
 
     const neededItems = startIndex + limit;
     const sourceLimit = Math.max(neededItems * 4, 48);
@@ -321,7 +626,7 @@ export function createRecentlyWatchedService({ config, jellyfinClient, imageServ
       ...(allUsersResult.ok ? allUsersResult.items : []),
       ...(dbResult.ok ? dbResult.items : []),
       ...(activityLogResult.ok ? activityLogResult.items : [])
-    ].sort((a, b) => (b.watched_at || 0) - (a.watched_at || 0));
+    ].sort(compareLive);
 
     const DUP_WINDOW_MS = 12 * 60 * 60 * 1000;
     const normalizeTitle = (item) => `${String(item.grandparent_title || '').trim().toLowerCase()}::${String(item.title || '').trim().toLowerCase()}`;
@@ -339,27 +644,23 @@ export function createRecentlyWatchedService({ config, jellyfinClient, imageServ
       recentByMediaKey.set(titleKey, ts);
 
       merged.push(item);
-      if (!filteredType && merged.length >= neededItems) break;
+      if (!hasFilters(filters) && merged.length >= neededItems) break;
     }
 
     if (merged.length > 0) {
-      const filteredItems = applyTypeFilter(merged, filteredType).slice(startIndex, startIndex + limit);
-      return {
-        items: filteredItems,
-        start_index: startIndex,
-        limit,
+      return livePage(merged, limit, filters, {
         source: [
           allUsersResult.ok ? 'all-users' : null,
           dbResult.ok ? 'playback-reporting' : null,
           activityLogResult.ok ? 'activity-log' : null
         ].filter(Boolean).join('+')
-      };
+      });
     }
 
-    const fallbackLimit = filteredType === 'movie' ? sourceLimit : neededItems;
-    const fallbackIncludeItemTypes = filteredType === 'movie' ? 'Movie' : 'Movie,Episode';
+    const fallbackLimit = hasFilters(filters) ? sourceLimit : neededItems;
+    const fallbackIncludeItemTypes = { movie: 'Movie', episode: 'Episode', series: 'Episode' }[filters.type] || 'Movie,Episode';
     const r = await jellyfinClient.request(`/Users/${jellyfin.userId}/Items?SortBy=DatePlayed&SortOrder=Descending&Limit=${fallbackLimit}&Recursive=true&Fields=BasicSyncInfo,CanDelete,PrimaryImageAspectRatio,ProductionYear&ImageTypeLimit=1&EnableImageTypes=Primary,Backdrop,Thumb&IncludeItemTypes=${fallbackIncludeItemTypes}`);
-    if (!r.ok) return { items: [], start_index: startIndex, limit, warning: `jellyfin: ${r.error}` };
+    if (!r.ok) return { items: [], start_index: startIndex, limit, next_cursor: null, warning: `jellyfin: ${r.error}` };
 
     const list = r.json?.Items || [];
     const items = list
@@ -376,23 +677,26 @@ export function createRecentlyWatchedService({ config, jellyfinClient, imageServ
         }
 
         return {
+          id: item.Id || null,
+          user_id: jellyfin.userId,
           title,
           grandparent_title,
+          series_id: item.SeriesId || null,
           year: item.ProductionYear || null,
           watched_at: new Date(item.UserData.LastPlayedDate).getTime(),
           media_type: item.Type?.toLowerCase() || '',
           poster: imageService.posterFromJellyfinItem(item)
         };
       })
-      .sort((a, b) => (b.watched_at || 0) - (a.watched_at || 0));
+      .sort(compareLive);
 
     const warning = [allUsersResult.error, dbResult.error].filter(Boolean).join(' | ');
     const extraWarning = activityLogResult.error ? `${warning ? `${warning} | ` : ''}${activityLogResult.error}` : warning;
-    const filteredItems = applyTypeFilter(items, filteredType).slice(startIndex, startIndex + limit);
-    return { items: filteredItems, start_index: startIndex, limit, source: 'jellyfin-user-fallback', warning: extraWarning };
+    return livePage(items, limit, filters, { source: 'jellyfin-user-fallback', warning: extraWarning });
   }
 
   return {
+    resolveFilters,
     getRecentlyWatched,
     getRecentWatchedAllUsers,
     getRecentWatchedFromActivityLog,
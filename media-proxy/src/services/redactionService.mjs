@@ -0,0 +1,269 @@
+import { hasValidApiToken } from '../lib/auth.mjs';
+import { getCache, setCache } from '../lib/cache.mjs';
+import { logger } from '../lib/logger.mjs';
+import { createUserAliases, normalizeUserId as normalizeId, PRIVATE_USER_ID } from '../lib/userAliases.mjs';
+
+const METADATA_CACHE_MS = 10 * 60 * 1000;
+const ITEM_LOOKUP_BATCH = 50;
+const ITEM_FIELDS = 'OfficialRating,Tags,Genres,ParentId';
+const PLACEHOLDER_TITLE = 'Private';
+// Fields a placeholder keeps: when and how something was watched, never what or by whom.
+const PLACEHOLDER_KEEP = new Set([
+  'watched_at',
+  'added_at',
+  'first_added_at',
+  'started_at',
+  'ended_at',
+  'timestamp_ms',
+  'timestamp_utc',
+  'local_date',
+  'local_time',
+  'local_weekday',
+  'local_hour_24',
+  'weekly_bucket',
+  'monthly_bucket',
+  'duration_ms',
+  'media_type',
+  'group',
+  'episode_count',
+  'session_key',
+  'progress_percent',
+  'position_ms',
+  'runtime_ms',
+  'paused',
+  'play_method',
+  'transcoding',
+  'plays',
+  'minutes'
+]);
+const NAME_FIELDS = ['title', 'item_name'];
+
+const lower = (value) => String(value).trim().toLowerCase();
+
+// Applies `REDACTION_RULES` to public feeds. Each rule matches items by library/parent id,
+// official rating, tag, genre and/or user (all listed fields must match); matching items are
+// dropped or replaced with a "Private" placeholder. Requests with a valid MEDIA_PROXY_API_TOKEN
+// bypass redaction.
+export function createRedactionService({ config, jellyfinClient }) {
+  const aliases = createUserAliases(config.users.aliases);
+  const rules = config.redaction.rules.map((rule) => ({
+    action: rule.action,
+    parents: rule.match.library || rule.match.parent ? new Set([...(rule.match.library || []), ...(rule.match.parent || [])].map(normalizeId)) : null,
+    ratings: rule.match.rating ? new Set(rule.match.rating.map(lower)) : null,
+    tags: rule.match.tag ? new Set(rule.match.tag.map(lower)) : null,
+    genres: rule.match.genre ? new Set(rule.match.genre.map(lower)) : null,
+    // User values may be Jellyfin ids or USER_ALIASES nicknames.
+    users: rule.match.user
+      ? new Set(rule.match.user.flatMap((value) => {
+        const alias = aliases.findAlias(value);
+        return alias ? aliases.userIdsFor(alias) : [normalizeId(value)];
+      }))
+      : null
+  }));
+  const hasMetadataMatcher = (rule) => Boolean(rule.parents || rule.ratings || rule.tags || rule.genres);
+  const needsMetadata = rules.some(hasMetadataMatcher);
+  const userRules = rules.filter((rule) => rule.users);
+  const needsAncestors = rules.some((rule) => rule.parents);
+
+  function isActive() {
+    return rules.length > 0;
+  }
+
+  function bypasses(req) {
+    return hasValidApiToken(req, config);
+  }
+
+  async function fetchItems(ids) {
+    const found = new Map();
+    for (let i = 0; i < ids.length; i += ITEM_LOOKUP_BATCH) {
+      const r = await jellyfinClient.getItemsByIds(ids.slice(i, i + ITEM_LOOKUP_BATCH), ITEM_FIELDS);
+      if (!r.ok) throw new Error(r.error || 'Unable to read Jellyfin items');
+      for (const item of Array.isArray(r.json?.Items) ? r.json.Items : []) found.set(item.Id, item);
+    }
+    return found;
+  }
+
+  async function fetchAncestorIds(itemId) {
+    const r = await jellyfinClient.getItemAncestors(itemId);
+    if (!r.ok) throw new Error(r.error || 'Unable to read Jellyfin item ancestors');
+    return (Array.isArray(r.json) ? r.json : []).map((ancestor) => ancestor.Id);
+  }
+
+  // Rating, tags and genres per item id, with an episode inheriting its series' values. Lookups
+  // are cached; ids Jellyfin cannot resolve come back as null.
+  async function getMetadata(itemIds) {
+    const metadata = new Map();
+    const missing = [];
+    for (const itemId of itemIds) {
+      const cached = getCache(`redaction-meta-${itemId}`);
+      if (cached !== null) metadata.set(itemId, cached);
+      else missing.push(itemId);
+    }
+    if (!missing.length) return metadata;
+
+    const items = await fetchItems(missing);
+    const seriesIds = [...new Set([...items.values()].map((item) => item.SeriesId).filter((id) => id && !items.has(id)))];
+    const series = seriesIds.length ? await fetchItems(seriesIds) : new Map();
+
+    for (const itemId of missing) {
+      const item = items.get(itemId);
+      if (!item) {
+        metadata.set(itemId, null);
+        continue;
+      }
+      const parent = item.SeriesId ? items.get(item.SeriesId) || series.get(item.SeriesId) : null;
+      const parents = [item.ParentId, item.SeasonId, item.SeriesId, ...(needsAncestors ? await fetchAncestorIds(itemId) : [])];
+      const entry = {
+        rating: item.OfficialRating || parent?.OfficialRating || null,
+        tags: [...(item.Tags || []), ...(parent?.Tags || [])],
+        genres: [...(item.Genres || []), ...(parent?.Genres || [])],
+        parents: [...new Set(parents.filter(Boolean).map(normalizeId))]
+      };
+      metadata.set(itemId, entry);
+      setCache(`redaction-meta-${itemId}`, entry, METADATA_CACHE_MS);
+    }
+    return metadata;
+  }
+
+  // An entry grouping several users' plays carries all their ids and matches a `user` rule when
+  // any of them does.
+  function userIdsOf(item) {
+    const userIds = item[PRIVATE_USER_ID] ?? item.user_id;
+    return (Array.isArray(userIds) ? userIds : [userIds]).filter(Boolean).map(normalizeId);
+  }
+
+  function matchesUser(rule, item) {
+    return userIdsOf(item).some((userId) => rule.users.has(userId));
+  }
+
+  function ruleMatches(rule, item, meta) {
+    if (rule.users && !matchesUser(rule, item)) return false;
+    if (!hasMetadataMatcher(rule)) return true;
+    if (!meta) return false;
+    if (rule.parents && !meta.parents.some((id) => rule.parents.has(id))) return false;
+    if (rule.ratings && !(meta.rating && rule.ratings.has(lower(meta.rating)))) return false;
+    if (rule.tags && !meta.tags.some((tag) => rule.tags.has(lower(tag)))) return false;
+    if (rule.genres && !meta.genres.some((genre) => rule.genres.has(lower(genre)))) return false;
+    return true;
+  }
+
+  // 'drop' wins over 'placeholder'. Items whose metadata cannot be read are shown as placeholders
+  // while any metadata rule exists, so a Jellyfin hiccup never publishes a hidden title.
+  function actionFor(item, metadata) {
+    const itemId = item.id || item.item_id || null;
+    const meta = itemId ? metadata.get(itemId) : null;
+    let action = null;
+    for (const rule of rules) {
+      if (!ruleMatches(rule, item, meta)) continue;
+      if (rule.action === 'drop') return 'drop';
+      action = 'placeholder';
+    }
+    if (!action && needsMetadata && !meta) return 'placeholder';
+    return action;
+  }
+
+  function placeholderFor(item) {
+    const placeholder = { private: true };
+    for (const [key, value] of Object.entries(item)) {
+      placeholder[key] = PLACEHOLDER_KEEP.has(key) ? value : null;
+    }
+    for (const key of NAME_FIELDS) {
+      if (key in item) placeholder[key] = PLACEHOLDER_TITLE;
+    }
+    return placeholder;
+  }
+
+  async function metadataFor(items) {
+    if (!needsMetadata) return new Map();
+    const ids = [...new Set(items.map((item) => item?.id || item?.item_id).filter(Boolean))];
+    try {
+      return await getMetadata(ids);
+    } catch (error) {
+      logger.warn('redaction metadata lookup failed', { error: error.message });
+      return new Map();
+    }
+  }
+
+  async function redactItems(items) {
+    const list = Array.isArray(items) ? items : [];
+    if (!isActive() || !list.length) return list;
+    const metadata = await metadataFor(list);
+    const redacted = [];
+    for (const item of list) {
+      const action = actionFor(item, metadata);
+      if (action === 'drop') continue;
+      redacted.push(action === 'placeholder' ? placeholderFor(item) : item);
+    }
+    return redacted;
+  }
+
+  // `{ items, total?, ... }` feed envelopes. `total` is reduced by dropped items.
+  async function redactList(payload, req) {
+    if (!isActive() || bypasses(req) || !Array.isArray(payload?.items)) return payload;
+    const items = await redactItems(payload.items);
+    const dropped = payload.items.length - items.length;
+    return {
+      ...payload,
+      items,
+      ...(typeof payload.total === 'number' ? { total: payload.total - dropped } : {})
+    };
+  }
+
+  // True when a rule with only a `user` matcher covers one of the alias's accounts, so anonymous
+  // callers cannot ask for that user's recap.
+  function hidesUser(alias, req) {
+    if (!alias || !userRules.length || bypasses(req)) return false;
+    const userIds = aliases.userIdsFor(alias).map(normalizeId);
+    return userRules.some((rule) => !hasMetadataMatcher(rule) && userIds.some((userId) => rule.users.has(userId)));
+  }
+
+  // Drops raw play events matched by a rule with a `user` field, before they are aggregated into
+  // totals no per-item redaction could reach. A play whose metadata cannot be read is dropped
+  // while such a rule also matches on metadata.
+  async function excludeUserPlays(events, req) {
+    if (!userRules.length || bypasses(req) || !events.length) return events;
+    const metadata = await metadataFor(events);
+    return events.filter((event) => {
+      const meta = event.item_id ? metadata.get(event.item_id) : null;
+      return !userRules.some((rule) => matchesUser(rule, event)
+        && (ruleMatches(rule, event, meta) || (hasMetadataMatcher(rule) && !meta)));
+    });
+  }
+
+  // Wrapped refs aggregate several users' plays; `user` rules already removed their plays through
+  // excludeUserPlays, so only the remaining rules apply to the refs here.
+  async function redactWrapped(payload, req) {
+    if (!isActive() || bypasses(req) || !payload) return payload;
+    const single = async (ref) => (ref ? (await redactItems([ref]))[0] || null : ref);
+    const binge = payload.longest_binge;
+    return {
+      ...payload,
+      top_movies: await redactItems(payload.top_movies),
+      top_series: await redactItems(payload.top_series),
+      new_to_library: await redactItems(payload.new_to_library),
+      first_watch: await single(payload.first_watch),
+      last_watch: await single(payload.last_watch),
+      longest_binge: binge ? { ...binge, series: await single(binge.series) } : binge
+    };
+  }
+
+  async function redactDebugEvents(payload, req) {
+    if (!isActive() || bypasses(req) || !payload?.weekly) return payload;
+    return {
+      ...payload,
+      weekly: { ...payload.weekly, events: await redactItems(payload.weekly.events) },
+      monthly: { ...payload.monthly, events: await redactItems(payload.monthly.events) }
+    };
+  }
+
+  return {
+    isActive,
+    bypasses,
+    redactItems,
+    redactList,
+    hidesUser,
+    excludeUserPlays,
+    redactWrapped,
+    redactDebugEvents
+  };
+}
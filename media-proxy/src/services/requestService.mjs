@@ -0,0 +1,211 @@
+import { getCache, setCache } from '../lib/cache.mjs';
+import { safeFetchJson } from '../lib/http.mjs';
+import { logger } from '../lib/logger.mjs';
+import { parsePositiveInt } from '../lib/normalize.mjs';
+
+// Jellyseerr request.status: 1 pending approval, 2 approved, 3 declined, 4 failed, 5 completed.
+// Jellyseerr media.status: 2 pending, 3 processing, 4 partially available, 5 available.
+const OPEN_STATUSES = new Set(['pending', 'processing', 'partially_available', 'failed']);
+
+function parseTmdbId(value) {
+  const match = String(value ?? '').trim().match(/^(?:tmdb:)?(\d+)$/i);
+  return match ? Number(match[1]) : null;
+}
+
+function normalizeRequestStatus(requestStatus, mediaStatus) {
+  const request = Number(requestStatus);
+  const media = Number(mediaStatus);
+  if (request === 3) return 'declined';
+  if (request === 4) return 'failed';
+  if (media === 5 || request === 5) return 'available';
+  if (media === 4) return 'partially_available';
+  if (request === 1) return 'pending';
+  return 'processing';
+}
+
+function yearFrom(value) {
+  const year = Number(String(value || '').slice(0, 4));
+  return Number.isFinite(year) && year > 0 ? year : null;
+}
+
+function normalizeDate(value) {
+  const ms = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(ms) ? ms : null;
+}
+
+export function createRequestService({ config, libraryService, imageService }) {
+  const jellyseerrHeaders = () => ({
+    Accept: 'application/json',
+    'Content-Type': 'application/json',
+    'X-Api-Key': config.jellyseerr.apiKey
+  });
+  const radarrHeaders = () => ({
+    Accept: 'application/json',
+    'Content-Type': 'application/json',
+    'X-Api-Key': config.radarr.apiKey
+  });
+
+  async function fetchJellyseerrMovie(tmdbId) {
+    const cacheKey = `jellyseerr-movie-${tmdbId}`;
+    const hit = getCache(cacheKey);
+    if (hit) return hit;
+    const r = await safeFetchJson(`${config.jellyseerr.url}/api/v1/movie/${encodeURIComponent(String(tmdbId))}`, { headers: jellyseerrHeaders() }, config.timeoutMs);
+    if (!r.ok) return null;
+    const movie = {
+      title: r.json?.title || r.json?.originalTitle || null,
+      year: yearFrom(r.json?.releaseDate),
+      poster: imageService.posterFromTmdbPath(r.json?.posterPath)
+    };
+    setCache(cacheKey, movie, 3600000);
+    return movie;
+  }
+
+  async function normalizeJellyseerrRequest(row) {
+    const tmdbId = row?.media?.tmdbId ?? null;
+    const details = tmdbId ? await fetchJellyseerrMovie(tmdbId) : null;
+    return {
+      id: `jellyseerr:${row.id}`,
+      tmdb_id: tmdbId ? String(tmdbId) : null,
+      title: details?.title || null,
+      year: details?.year || null,
+      media_type: row?.type === 'tv' ? 'series' : 'movie',
+      poster: details?.poster || null,
+      status: normalizeRequestStatus(row?.status, row?.media?.status),
+      requested_at: normalizeDate(row?.createdAt),
+      updated_at: normalizeDate(row?.updatedAt),
+      source: 'jellyseerr'
+    };
+  }
+
+  function normalizeRadarrMovie(movie) {
+    const poster = (movie?.images || []).find((image) => image?.coverType === 'poster');
+    return {
+      id: `radarr:${movie.id}`,
+      tmdb_id: movie?.tmdbId ? String(movie.tmdbId) : null,
+      title: movie?.title || null,
+      year: movie?.year || null,
+      media_type: 'movie',
+      poster: poster?.remoteUrl ? imageService.signedProxyUrl(poster.remoteUrl) : null,
+      status: movie?.hasFile ? 'available' : 'processing',
+      requested_at: normalizeDate(movie?.added),
+      updated_at: null,
+      source: 'radarr'
+    };
+  }
+
+  async function createJellyseerrRequest(tmdbId) {
+    const r = await safeFetchJson(`${config.jellyseerr.url}/api/v1/request`, {
+      method: 'POST',
+      headers: jellyseerrHeaders(),
+      body: JSON.stringify({ mediaType: 'movie', mediaId: tmdbId })
+    }, config.timeoutMs);
+
+    if (r.ok) return { status: 201, request: await normalizeJellyseerrRequest(r.json || {}) };
+    if (r.status === 409) return { status: 200, already_requested: true };
+    // Only an unreachable or failing Jellyseerr may fall back to Radarr; its 4xx answers (quota,
+    // permission, validation) stand, so Radarr never bypasses Jellyseerr approval. A rejected
+    // API key is our configuration problem, not the caller's, so it is reported as 502.
+    if (!r.status || r.status >= 500) return { status: 502, error: `jellyseerr: ${r.error}`, unavailable: true };
+    return { status: r.status === 401 ? 502 : r.status, error: `jellyseerr: ${r.error}` };
+  }
+
+  async function readRadarrDefaults() {
+    const profileId = Number(config.radarr.qualityProfileId) || null;
+    const rootFolder = config.radarr.rootFolderPath || null;
+    if (profileId && rootFolder) return { ok: true, qualityProfileId: profileId, rootFolderPath: rootFolder };
+
+    const [profiles, folders] = await Promise.all([
+      profileId ? null : safeFetchJson(`${config.radarr.url}/api/v3/qualityprofile`, { headers: radarrHeaders() }, config.timeoutMs),
+      rootFolder ? null : safeFetchJson(`${config.radarr.url}/api/v3/rootfolder`, { headers: radarrHeaders() }, config.timeoutMs)
+    ]);
+    const qualityProfileId = profileId || (profiles?.ok && Array.isArray(profiles.json) ? profiles.json[0]?.id : null);
+    const rootFolderPath = rootFolder || (folders?.ok && Array.isArray(folders.json) ? folders.json[0]?.path : null);
+    if (!qualityProfileId || !rootFolderPath) return { ok: false, error: 'radarr: no quality profile or root folder available' };
+    return { ok: true, qualityProfileId, rootFolderPath };
+  }
+
+  async function createRadarrMovie(tmdbId) {
+    const lookup = await safeFetchJson(`${config.radarr.url}/api/v3/movie/lookup/tmdb?tmdbId=${encodeURIComponent(String(tmdbId))}`, { headers: radarrHeaders() }, config.timeoutMs);
+    if (!lookup.ok || !lookup.json?.tmdbId) return { status: lookup.status === 404 ? 404 : 502, error: `radarr: ${lookup.error || 'movie not found'}` };
+    if (lookup.json.id) return { status: 200, already_requested: true, request: normalizeRadarrMovie(lookup.json) };
+
+    const defaults = await readRadarrDefaults();
+    if (!defaults.ok) return { status: 502, error: defaults.error };
+
+    const r = await safeFetchJson(`${config.radarr.url}/api/v3/movie`, {
+      method: 'POST',
+      headers: radarrHeaders(),
+      body: JSON.stringify({
+        ...lookup.json,
+        qualityProfileId: defaults.qualityProfileId,
+        rootFolderPath: defaults.rootFolderPath,
+        monitored: true,
+        addOptions: { searchForMovie: true }
+      })
+    }, config.timeoutMs);
+    if (!r.ok) return { status: 502, error: `radarr: ${r.error}` };
+    return { status: 201, request: normalizeRadarrMovie(r.json || {}) };
+  }
+
+  async function createRequest(body = {}) {
+    const tmdbId = parseTmdbId(body.id ?? body.tmdb_id);
+    if (!tmdbId) return { status: 400, error: 'expected id in the form tmdb:<id>' };
+    if (!config.jellyseerr?.configured && !config.radarr?.configured) {
+      return { status: 503, error: 'neither jellyseerr nor radarr is configured' };
+    }
+
+    let result = null;
+    if (config.jellyseerr?.configured) {
+      result = await createJellyseerrRequest(tmdbId);
+      if (result.unavailable && config.radarr?.configured) logger.warn('jellyseerr request failed, falling back to radarr', { error: result.error });
+    }
+    if ((!result || result.unavailable) && config.radarr?.configured) {
+      result = await createRadarrMovie(tmdbId);
+    }
+
+    if (result.status < 300) libraryService.invalidateSearchForTmdb(tmdbId);
+    if (result.status >= 300) return result;
+
+    return {
+      status: result.status,
+      payload: {
+        ok: true,
+        id: `tmdb:${tmdbId}`,
+        library_state: 'requested',
+        already_requested: Boolean(result.already_requested),
+        request: result.request || null
+      }
+    };
+  }
+
+  async function listRequests(query = {}) {
+    const limit = parsePositiveInt(query.limit, 50, { min: 1, max: 100 });
+
+    if (config.jellyseerr?.configured) {
+      const params = new URLSearchParams({ take: String(limit), skip: '0', filter: 'all', sort: 'added' });
+      const r = await safeFetchJson(`${config.jellyseerr.url}/api/v1/request?${params}`, { headers: jellyseerrHeaders() }, config.timeoutMs);
+      if (r.ok) {
+        const rows = Array.isArray(r.json?.results) ? r.json.results : [];
+        const items = (await Promise.all(rows.map(normalizeJellyseerrRequest)))
+          .filter((item) => OPEN_STATUSES.has(item.status));
+        return { items, total: items.length, limit, source: 'jellyseerr' };
+      }
+      if (!config.radarr?.configured) return { items: [], total: 0, limit, warning: `jellyseerr: ${r.error}` };
+    }
+
+    if (config.radarr?.configured) {
+      const r = await safeFetchJson(`${config.radarr.url}/api/v3/movie`, { headers: radarrHeaders() }, config.timeoutMs);
+      if (!r.ok) return { items: [], total: 0, limit, warning: `radarr: ${r.error}` };
+      const items = (Array.isArray(r.json) ? r.json : [])
+        .filter((movie) => movie?.monitored && !movie?.hasFile)
+        .map(normalizeRadarrMovie)
+        .sort((a, b) => (b.requested_at || 0) - (a.requested_at || 0))
+        .slice(0, limit);
+      return { items, total: items.length, limit, source: 'radarr' };
+    }
+
+    return { items: [], total: 0, limit, warning: 'neither jellyseerr nor radarr is configured' };
+  }
+
+  return { createRequest, listRequests };
+}
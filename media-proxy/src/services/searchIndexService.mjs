@@ -0,0 +1,73 @@
+import { logger } from '../lib/logger.mjs';
+import { buildSearchIndex, searchIndex } from '../lib/searchIndex.mjs';
+
+// Keeps an in-process search index over the normalized movie library, rebuilt every
+// SEARCH_INDEX_REFRESH_MS. Until the first build succeeds, search falls back to Jellyfin.
+// `listAllMovies` is libraryService's cached full-library read, so facets, random picks and the
+// index share one copy of the library.
+export function createSearchIndexService({ config, listAllMovies }) {
+  const { jellyfin } = config;
+  const { refreshMs } = config.search;
+  let index = null;
+  let timer = null;
+  let running = null;
+  let lastRun = null;
+
+  function isConfigured() {
+    return jellyfin.configured && refreshMs > 0;
+  }
+
+  async function loadMovies() {
+    const movies = await listAllMovies();
+    if (movies.warning) throw new Error(movies.warning);
+    return movies.items;
+  }
+
+  // Rebuilds never overlap; a failed rebuild keeps the previous index.
+  function refresh() {
+    if (!isConfigured()) return Promise.resolve();
+    if (running) return running;
+    const startedAt = Date.now();
+    running = loadMovies()
+      .then((items) => {
+        index = buildSearchIndex(items);
+        lastRun = { at: startedAt, duration_ms: Date.now() - startedAt, movies: index.size, error: null };
+        logger.debug('search index rebuilt', { movies: index.size, duration_ms: lastRun.duration_ms });
+      })
+      .catch((error) => {
+        lastRun = { at: startedAt, duration_ms: Date.now() - startedAt, movies: index?.size ?? 0, error: error.message };
+        logger.warn('search index rebuild failed', { error: error.message });
+      })
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  function start() {
+    if (timer || !isConfigured()) return;
+    refresh();
+    timer = setInterval(refresh, refreshMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function isReady() {
+    return index !== null;
+  }
+
+  function search(query, limit) {
+    return index ? searchIndex(index, query, limit) : [];
+  }
+
+  function getStatus() {
+    if (!isConfigured()) return { configured: false };
+    return { configured: true, ready: isReady(), running: Boolean(running), movies: index?.size ?? 0, last_run: lastRun };
+  }
+
+  return { start, stop, refresh, isReady, search, getStatus };
+}
@@ -0,0 +1,302 @@
+import { getCache, setCache } from '../lib/cache.mjs';
+import { safeFetchJson } from '../lib/http.mjs';
+import { logger } from '../lib/logger.mjs';
+import {
+  parsePositiveInt,
+  normalizeBoolean,
+  sortKeyFromTitle,
+  normalizeRuntimeTicks,
+  normalizeDateMs
+} from '../lib/normalize.mjs';
+import { canonicalGenre, jellyfinLibraryParams, queryUnwatchedFirst } from './libraryService.mjs';
+
+const SERIES_FIELDS = [
+  'BasicSyncInfo',
+  'ChildCount',
+  'CommunityRating',
+  'DateCreated',
+  'EndDate',
+  'Genres',
+  'OfficialRating',
+  'PremiereDate',
+  'ProviderIds',
+  'PrimaryImageAspectRatio',
+  'ProductionYear',
+  'RecursiveItemCount',
+  'SortName',
+  'Status'
+].join(',');
+
+const EPISODE_FIELDS = [
+  'BasicSyncInfo',
+  'CommunityRating',
+  'DateCreated',
+  'PremiereDate',
+  'PrimaryImageAspectRatio',
+  'ProductionYear',
+  'ProviderIds',
+  'RunTimeTicks'
+].join(',');
+
+const SERIES_STATUSES = ['continuing', 'ended', 'upcoming'];
+// `status` filter values as Jellyfin's `SeriesStatus` param.
+const SERIES_STATUS_PARAMS = { continuing: 'Continuing', ended: 'Ended', upcoming: 'Unreleased' };
+
+function normalizeSeriesProviderIds(providerIds = {}) {
+  const read = (name) => {
+    const value = providerIds[name] || providerIds[name.toUpperCase()] || providerIds[name.toLowerCase()] || null;
+    return value ? String(value) : null;
+  };
+
+  return {
+    tvdb: read('Tvdb'),
+    tmdb: read('Tmdb'),
+    imdb: read('Imdb')
+  };
+}
+
+function normalizeSeriesStatus(...values) {
+  for (const value of values) {
+    const status = String(value || '').trim().toLowerCase();
+    if (SERIES_STATUSES.includes(status)) return status;
+  }
+  return null;
+}
+
+function countOrNull(value) {
+  return Number.isFinite(Number(value)) ? Number(value) : null;
+}
+
+function normalizeUserData(userData = {}) {
+  return {
+    played: Boolean(userData.Played),
+    play_count: Number.isFinite(Number(userData.PlayCount)) ? Number(userData.PlayCount) : 0,
+    last_played_at: normalizeDateMs(userData.LastPlayedDate),
+    is_favorite: Boolean(userData.IsFavorite)
+  };
+}
+
+export function normalizeSeries(item, imageService, sonarrSeries = null) {
+  const userData = item.UserData || {};
+  const rawSortName = String(item.SortName || '').trim();
+  const rawName = String(item.Name || '').trim();
+  const stats = sonarrSeries?.statistics || {};
+  const episodeCount = countOrNull(item.RecursiveItemCount) ?? countOrNull(stats.episodeFileCount);
+  const unplayedCount = countOrNull(userData.UnplayedItemCount);
+  const watchedEpisodeCount = episodeCount !== null && unplayedCount !== null
+    ? Math.max(0, episodeCount - unplayedCount)
+    : (userData.Played ? episodeCount : null);
+  const endYear = item.EndDate ? new Date(item.EndDate).getUTCFullYear() : null;
+
+  return {
+    id: item.Id || null,
+    title: item.Name || 'Unknown',
+    sort_name: sortKeyFromTitle(rawSortName || rawName) || 'unknown',
+    year: item.ProductionYear || null,
+    end_year: Number.isFinite(endYear) ? endYear : null,
+    media_type: 'series',
+    provider_ids: normalizeSeriesProviderIds(item.ProviderIds),
+    poster: imageService.posterFromJellyfinItem(item),
+    poster_srcset: imageService.posterSrcsetFromJellyfinItem(item),
+    added_at: normalizeDateMs(item.DateCreated),
+    genres: Array.isArray(item.Genres) ? item.Genres : [],
+    official_rating: item.OfficialRating || null,
+    community_rating: Number.isFinite(Number(item.CommunityRating)) ? Number(item.CommunityRating) : null,
+    status: normalizeSeriesStatus(sonarrSeries?.status, item.Status),
+    season_count: countOrNull(item.ChildCount) ?? countOrNull(stats.seasonCount),
+    episode_count: episodeCount,
+    watched_episode_count: watchedEpisodeCount,
+    total_episode_count: countOrNull(stats.totalEpisodeCount),
+    next_airing_at: normalizeDateMs(sonarrSeries?.nextAiring),
+    user_data: normalizeUserData(userData)
+  };
+}
+
+// Seasons and episodes have one shape, whether nested in `/shows/:id` or read from `/items/:id`.
+export function normalizeSeason(item, imageService) {
+  const userData = item.UserData || {};
+  const episodeCount = countOrNull(item.ChildCount) ?? countOrNull(item.RecursiveItemCount);
+  const unplayedCount = countOrNull(userData.UnplayedItemCount);
+
+  return {
+    id: item.Id || null,
+    title: item.Name || 'Unknown',
+    media_type: 'season',
+    season_number: countOrNull(item.IndexNumber),
+    series: item.SeriesId ? { id: item.SeriesId, title: item.SeriesName || null } : null,
+    poster: imageService.posterFromJellyfinItem(item),
+    poster_srcset: imageService.posterSrcsetFromJellyfinItem(item),
+    episode_count: episodeCount,
+    watched_episode_count: episodeCount !== null && unplayedCount !== null ? Math.max(0, episodeCount - unplayedCount) : null,
+    user_data: normalizeUserData(userData)
+  };
+}
+
+export function normalizeEpisode(item, imageService) {
+  return {
+    id: item.Id || null,
+    title: item.Name || 'Unknown',
+    media_type: 'episode',
+    year: item.ProductionYear || null,
+    season_number: countOrNull(item.ParentIndexNumber),
+    episode_number: countOrNull(item.IndexNumber),
+    series: item.SeriesId ? { id: item.SeriesId, title: item.SeriesName || null } : null,
+    season: item.SeasonId ? { id: item.SeasonId, title: item.SeasonName || null } : null,
+    premiere_date: normalizeDateMs(item.PremiereDate),
+    runtime_minutes: normalizeRuntimeTicks(item.RunTimeTicks),
+    added_at: normalizeDateMs(item.DateCreated),
+    community_rating: Number.isFinite(Number(item.CommunityRating)) ? Number(item.CommunityRating) : null,
+    poster: imageService.posterFromJellyfinItem(item),
+    poster_srcset: imageService.posterSrcsetFromJellyfinItem(item),
+    user_data: normalizeUserData(item.UserData)
+  };
+}
+
+export function createShowService({ config, jellyfinClient, imageService }) {
+  const { jellyfin } = config;
+
+  async function fetchSonarrSeriesByTvdb() {
+    if (!config.sonarr?.configured) return new Map();
+    const cacheKey = 'sonarr-series-by-tvdb';
+    const hit = getCache(cacheKey);
+    if (hit) return hit;
+
+    const headers = { Accept: 'application/json', 'X-Api-Key': config.sonarr.apiKey };
+    const r = await safeFetchJson(`${config.sonarr.url}/api/v3/series`, { headers }, config.timeoutMs);
+    if (!r.ok) {
+      logger.warn('sonarr series lookup failed', { error: r.error });
+      return new Map();
+    }
+
+    const byTvdb = new Map();
+    for (const row of Array.isArray(r.json) ? r.json : []) {
+      if (row?.tvdbId) byTvdb.set(String(row.tvdbId), row);
+    }
+    setCache(cacheKey, byTvdb, 300000);
+    return byTvdb;
+  }
+
+  function sonarrFor(item, sonarrByTvdb) {
+    const tvdb = normalizeSeriesProviderIds(item.ProviderIds).tvdb;
+    return tvdb ? sonarrByTvdb.get(tvdb) || null : null;
+  }
+
+  async function normalizeSeriesWithSonarr(item) {
+    const sonarrByTvdb = await fetchSonarrSeriesByTvdb();
+    return normalizeSeries(item, imageService, sonarrFor(item, sonarrByTvdb));
+  }
+
+  async function querySeries(params, sonarrByTvdb, { played = null, startIndex = 0, limit }) {
+    const pageParams = new URLSearchParams(params);
+    pageParams.set('StartIndex', String(startIndex));
+    pageParams.set('Limit', String(limit));
+    if (played !== null) pageParams.set('IsPlayed', String(played));
+
+    const response = await jellyfinClient.getUserItems(jellyfin.userId, pageParams.toString());
+    if (!response.ok) return { ok: false, error: response.error };
+    const rawItems = Array.isArray(response.json?.Items) ? response.json.Items : [];
+    return {
+      ok: true,
+      items: rawItems.map((item) => normalizeSeries(item, imageService, sonarrFor(item, sonarrByTvdb))),
+      total: Number.isFinite(response.json?.TotalRecordCount) ? response.json.TotalRecordCount : rawItems.length
+    };
+  }
+
+  // Filters, sort and paging run in Jellyfin exactly as for `/library`; `status` becomes
+  // Jellyfin's `SeriesStatus`.
+  async function getShows(query = {}) {
+    if (!jellyfin.configured) return { items: [], total: 0, warning: 'jellyfin not configured' };
+
+    const limit = parsePositiveInt(query.limit, 50, { min: 1, max: 200 });
+    const startIndex = parsePositiveInt(query.start_index ?? query.startIndex ?? query.offset, 0, { min: 0, max: 100000 });
+    const unwatchedFirst = normalizeBoolean(query.unwatched_first, true);
+    const [genre, sonarrByTvdb] = await Promise.all([
+      query.genre ? canonicalGenre(jellyfinClient, jellyfin.userId, query.genre, 'Series') : query.genre,
+      fetchSonarrSeriesByTvdb()
+    ]);
+    const { params, played } = jellyfinLibraryParams({ ...query, genre }, { itemType: 'Series', fields: SERIES_FIELDS });
+    const status = SERIES_STATUS_PARAMS[String(query.status || '').trim().toLowerCase()];
+    if (status) params.set('SeriesStatus', status);
+
+    const queryPage = (page) => querySeries(params, sonarrByTvdb, page);
+    const page = unwatchedFirst && played === null
+      ? await queryUnwatchedFirst(queryPage, startIndex, limit)
+      : await queryPage({ played, startIndex, limit });
+    if (!page.ok) return { items: [], total: 0, warning: `jellyfin: ${page.error}` };
+
+    return {
+      items: page.items,
+      total: page.total,
+      start_index: startIndex,
+      limit,
+      source: config.sonarr?.configured ? 'jellyfin-user-items+sonarr' : 'jellyfin-user-items',
+      sort: String(query.sort || 'recently_added'),
+      unwatched_first: unwatchedFirst
+    };
+  }
+
+  async function getShow(id) {
+    if (!jellyfin.configured) return { status: 503, error: 'jellyfin not configured' };
+
+    const itemParams = new URLSearchParams({
+      Fields: SERIES_FIELDS,
+      ImageTypeLimit: '1',
+      EnableImageTypes: 'Primary,Backdrop,Thumb',
+      EnableUserData: 'true'
+    });
+    const response = await jellyfinClient.request(
+      `/Users/${encodeURIComponent(jellyfin.userId)}/Items/${encodeURIComponent(id)}?${itemParams}`
+    );
+    if (!response.ok || response.json?.Type !== 'Series') return { status: 404, error: 'show not found' };
+
+    const childParams = new URLSearchParams({
+      UserId: jellyfin.userId,
+      Fields: EPISODE_FIELDS,
+      ImageTypeLimit: '1',
+      EnableImageTypes: 'Primary,Thumb',
+      EnableUserData: 'true'
+    });
+    const [seasonsResp, episodesResp, sonarrByTvdb] = await Promise.all([
+      jellyfinClient.getShowSeasons(id, childParams.toString()),
+      jellyfinClient.getShowEpisodes(id, childParams.toString()),
+      fetchSonarrSeriesByTvdb()
+    ]);
+
+    const show = normalizeSeries(response.json, imageService, sonarrFor(response.json, sonarrByTvdb));
+    const rawSeasons = seasonsResp.ok && Array.isArray(seasonsResp.json?.Items) ? seasonsResp.json.Items : [];
+    const rawEpisodes = episodesResp.ok && Array.isArray(episodesResp.json?.Items) ? episodesResp.json.Items : [];
+
+    const episodesBySeason = new Map();
+    for (const episode of rawEpisodes) {
+      const key = String(episode.SeasonId || episode.ParentIndexNumber || '');
+      if (!episodesBySeason.has(key)) episodesBySeason.set(key, []);
+      episodesBySeason.get(key).push(normalizeEpisode(episode, imageService));
+    }
+
+    const seasons = rawSeasons.map((season) => {
+      const episodes = (episodesBySeason.get(String(season.Id)) || episodesBySeason.get(String(season.IndexNumber ?? '')) || [])
+        .sort((a, b) => (a.episode_number ?? 0) - (b.episode_number ?? 0));
+      return {
+        ...normalizeSeason(season, imageService),
+        episode_count: episodes.length,
+        watched_episode_count: episodes.filter((episode) => episode.user_data.played).length,
+        episodes
+      };
+    });
+
+    const warnings = [seasonsResp, episodesResp].filter((r) => !r.ok).map((r) => `jellyfin: ${r.error}`);
+    const payload = {
+      ...show,
+      season_count: seasons.length || show.season_count,
+      episode_count: rawEpisodes.length || show.episode_count,
+      watched_episode_count: rawEpisodes.length
+        ? seasons.reduce((sum, season) => sum + season.watched_episode_count, 0)
+        : show.watched_episode_count,
+      seasons
+    };
+
+    return { status: 200, item: warnings.length ? { ...payload, warning: warnings.join(' | ') } : payload };
+  }
+
+  return { getShows, getShow, normalizeSeriesWithSonarr };
+}
@@ -0,0 +1,217 @@
+import { getZonedParts, formatZonedIso, zonedTimeToUtc } from '../lib/time.mjs';
+import { normalizeDateMs } from '../lib/normalize.mjs';
+
+const ITEM_FIELDS = 'DateCreated,Genres,ProductionYear,ProviderIds';
+const ITEM_LOOKUP_BATCH = 50;
+const TOP_LIMIT = 10;
+// Two episodes of the same series belong to one binge when the next starts within this long
+// after the previous one should have ended.
+const BINGE_GAP_MS = 30 * 60 * 1000;
+const FALLBACK_EPISODE_MS = 45 * 60 * 1000;
+
+function toMinutes(ms) {
+  return Math.round((ms || 0) / 60000);
+}
+
+function toHours(ms) {
+  return Math.round(((ms || 0) / 3600000) * 10) / 10;
+}
+
+export function createWrappedService({ config, jellyfinClient, imageService, activityService }) {
+  const timezone = config.activityTimezone;
+
+  // `year=2026`, `year=2026&month=3` or `month=2026-03`. Returns the period in local time; a
+  // period that has not ended yet is summarized up to now.
+  function resolvePeriod(query = {}) {
+    const rawYear = String(query.year ?? '').trim();
+    const rawMonth = String(query.month ?? '').trim();
+    const combined = rawMonth.match(/^(\d{4})-(\d{1,2})$/);
+
+    const year = Number(combined ? combined[1] : rawYear);
+    const month = combined ? Number(combined[2]) : (rawMonth ? Number(rawMonth) : null);
+    if (!rawYear && !combined) return { error: 'missing query parameter: year' };
+    if (!Number.isInteger(year) || year < 2000 || year > 9999) return { error: `invalid year: ${rawYear || rawMonth}` };
+    if (month !== null && (!Number.isInteger(month) || month < 1 || month > 12)) return { error: `invalid month: ${rawMonth}` };
+
+    const fromMs = zonedTimeToUtc({ year, month: month || 1, day: 1 }, timezone);
+    const endMs = month
+      ? zonedTimeToUtc({ year: month === 12 ? year + 1 : year, month: month === 12 ? 1 : month + 1, day: 1 }, timezone)
+      : zonedTimeToUtc({ year: year + 1, month: 1, day: 1 }, timezone);
+    const nowMs = Date.now();
+    if (fromMs > nowMs) return { error: 'period has not started yet' };
+
+    return {
+      period: {
+        type: month ? 'month' : 'year',
+        label: month ? `${year}-${String(month).padStart(2, '0')}` : String(year),
+        fromMs,
+        toMs: Math.min(endMs, nowMs),
+        complete: endMs <= nowMs
+      }
+    };
+  }
+
+  async function getItems(ids) {
+    const items = new Map();
+    for (let i = 0; i < ids.length; i += ITEM_LOOKUP_BATCH) {
+      const r = await jellyfinClient.getItemsByIds(ids.slice(i, i + ITEM_LOOKUP_BATCH), ITEM_FIELDS);
+      if (!r.ok) continue;
+      for (const item of Array.isArray(r.json?.Items) ? r.json.Items : []) items.set(item.Id, item);
+    }
+    return items;
+  }
+
+  function titleRef(item, fallbackTitle, mediaType) {
+    return {
+      id: item?.Id || null,
+      title: item?.Name || fallbackTitle || 'Unknown',
+      year: item?.ProductionYear || null,
+      media_type: mediaType,
+      poster: item ? imageService.posterFromJellyfinItem(item) : null
+    };
+  }
+
+  function watchRef(play) {
+    const { item, series } = play;
+    const isEpisode = item?.Type === 'Episode';
+    return {
+      ...titleRef(item, play.event.item_name, item?.Type ? item.Type.toLowerCase() : null),
+      series_title: isEpisode ? item.SeriesName || series?.Name || null : null,
+      season_number: isEpisode ? item.ParentIndexNumber ?? null : null,
+      episode_number: isEpisode ? item.IndexNumber ?? null : null,
+      watched_at: play.event.timestamp.getTime()
+    };
+  }
+
+  function rank(groups) {
+    return [...groups.values()]
+      .sort((a, b) => b.ms - a.ms || b.plays - a.plays)
+      .slice(0, TOP_LIMIT);
+  }
+
+  function tally(groups, key, seed, play) {
+    if (!groups.has(key)) groups.set(key, { ...seed, plays: 0, ms: 0 });
+    const group = groups.get(key);
+    group.plays++;
+    group.ms += play.event.duration_ms || 0;
+    return group;
+  }
+
+  // Longest run of consecutive episodes of one series by one user.
+  function findLongestBinge(plays) {
+    let best = null;
+    const open = new Map();
+
+    for (const play of plays) {
+      if (play.item?.Type !== 'Episode' || !play.item.SeriesId) continue;
+      const key = `${play.event.user_id || 'unknown'}|${play.item.SeriesId}`;
+      const startMs = play.event.timestamp.getTime();
+      const session = open.get(key);
+      const continues = session && startMs - session.lastEndMs <= BINGE_GAP_MS;
+      const current = continues ? session : { play, episodes: 0, ms: 0, startMs };
+
+      current.episodes++;
+      current.ms += play.event.duration_ms || 0;
+      current.lastEndMs = startMs + (play.event.duration_ms || FALLBACK_EPISODE_MS);
+      open.set(key, current);
+
+      if (!best || current.episodes > best.episodes || (current.episodes === best.episodes && current.ms > best.ms)) {
+        best = current;
+      }
+    }
+
+    if (!best || best.episodes < 2) return null;
+    return {
+      series: titleRef(best.play.series, best.play.item.SeriesName, 'series'),
+      episodes: best.episodes,
+      minutes: toMinutes(best.ms),
+      started_at: best.startMs,
+      ended_at: best.lastEndMs
+    };
+  }
+
+  // `excludePlays` filters the raw plays before anything is counted (redaction of hidden users).
+  async function getWrapped(period, { user = null, excludePlays = null } = {}) {
+    const range = await activityService.getPlaysInRange({ ...period, user });
+    const events = excludePlays ? await excludePlays(range.events) : range.events;
+    const { warning } = range;
+
+    const items = await getItems([...new Set(events.map((event) => event.item_id).filter(Boolean))]);
+    const seriesIds = [...new Set([...items.values()].map((item) => item.SeriesId).filter(Boolean))]
+      .filter((id) => !items.has(id));
+    const seriesItems = await getItems(seriesIds);
+    const seriesOf = (item) => (item?.SeriesId ? items.get(item.SeriesId) || seriesItems.get(item.SeriesId) || null : null);
+
+    const plays = events.map((event) => {
+      const item = event.item_id ? items.get(event.item_id) || null : null;
+      return { event, item, series: seriesOf(item) };
+    });
+
+    const movies = new Map();
+    const series = new Map();
+    const genres = new Map();
+    const days = new Map();
+    const newToLibrary = new Map();
+
+    for (const play of plays) {
+      const { event, item } = play;
+      const isEpisode = item?.Type === 'Episode';
+      const title = isEpisode ? play.series || null : item;
+
+      if (item?.Type === 'Movie') tally(movies, item.Id, titleRef(item, null, 'movie'), play);
+      if (isEpisode && item.SeriesId) tally(series, item.SeriesId, titleRef(play.series, item.SeriesName, 'series'), play);
+
+      for (const genre of (Array.isArray(title?.Genres) ? title.Genres : [])) {
+        tally(genres, genre, { genre }, play);
+      }
+
+      const parts = getZonedParts(event.timestamp.getTime(), timezone);
+      const date = `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+      tally(days, date, { date }, play);
+
+      const addedAt = normalizeDateMs(title?.DateCreated);
+      if (title && addedAt !== null && addedAt >= period.fromMs && addedAt < period.toMs && !newToLibrary.has(title.Id)) {
+        newToLibrary.set(title.Id, {
+          ...titleRef(title, null, isEpisode ? 'series' : 'movie'),
+          added_at: addedAt,
+          first_watched_at: event.timestamp.getTime()
+        });
+      }
+    }
+
+    const shape = (group) => {
+      const { ms, ...rest } = group;
+      return { ...rest, minutes: toMinutes(ms) };
+    };
+    const totalMs = events.reduce((sum, event) => sum + (event.duration_ms || 0), 0);
+    const busiest = rank(days)[0] || null;
+
+    return {
+      period: {
+        type: period.type,
+        label: period.label,
+        from: formatZonedIso(period.fromMs, timezone),
+        to: formatZonedIso(period.toMs, timezone),
+        complete: period.complete,
+        timezone
+      },
+      ...(user ? { user } : {}),
+      total_plays: events.length,
+      total_hours: toHours(totalMs),
+      top_movies: rank(movies).map(shape),
+      top_series: rank(series).map(shape),
+      top_genres: rank(genres).map(shape),
+      busiest_day: busiest ? shape(busiest) : null,
+      longest_binge: findLongestBinge(plays),
+      first_watch: plays.length ? watchRef(plays[0]) : null,
+      last_watch: plays.length ? watchRef(plays[plays.length - 1]) : null,
+      new_to_library: [...newToLibrary.values()].sort((a, b) => a.first_watched_at - b.first_watched_at),
+      ...(events.length ? {} : { warning: warning || 'No playback events found in this period' })
+    };
+  }
+
+  return {
+    resolvePeriod,
+    getWrapped
+  };
+}
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cacheKeyFromQuery, getCache, invalidateCache, withCache } from '../src/lib/cache.mjs';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A load whose calls are counted and which resolves only when `release` is called.
+function deferredLoad() {
+  const pending = [];
+  const load = () => new Promise((resolve) => pending.push(resolve));
+  return { load, pending, release: (value) => pending.shift()(value) };
+}
+
+test('concurrent misses share one load', async () => {
+  const { load, pending, release } = deferredLoad();
+  const first = withCache('single-flight', 1000, load);
+  const second = withCache('single-flight', 1000, load);
+  assert.equal(pending.length, 1);
+  release('value');
+  assert.deepEqual(await Promise.all([first, second]), ['value', 'value']);
+  assert.equal(getCache('single-flight'), 'value');
+});
+
+test('a stale entry is served while one background refresh runs', async () => {
+  const { load, pending, release } = deferredLoad();
+  const first = withCache('swr', 20, load, { staleMs: 1000 });
+  release('v1');
+  assert.equal(await first, 'v1');
+  await sleep(30);
+
+  assert.equal(await withCache('swr', 20, load, { staleMs: 1000 }), 'v1');
+  assert.equal(await withCache('swr', 20, load, { staleMs: 1000 }), 'v1');
+  assert.equal(pending.length, 1);
+  release('v2');
+  await sleep(0);
+  assert.equal(await withCache('swr', 20, load, { staleMs: 1000 }), 'v2');
+});
+
+test('a failed refresh keeps the last good value', async () => {
+  let result = { items: [1] };
+  const load = async () => result;
+  const options = { staleMs: 1000, isFailure: (payload) => Boolean(payload.warning) };
+  await withCache('keep-good', 20, load, options);
+  await sleep(30);
+
+  result = { items: [], warning: 'upstream down' };
+  await withCache('keep-good', 20, load, options);
+  await sleep(0);
+  assert.deepEqual(await withCache('keep-good', 20, load, options), { items: [1] });
+});
+
+test('invalidation drops the result of a load already in flight', async () => {
+  const { load, pending, release } = deferredLoad();
+  const outdated = withCache('invalidate-inflight', 1000, load);
+  assert.equal(invalidateCache((key) => key === 'invalidate-inflight'), 0);
+
+  const fresh = withCache('invalidate-inflight', 1000, load);
+  assert.equal(pending.length, 2);
+  release('before');
+  assert.equal(await outdated, 'before');
+  assert.equal(getCache('invalidate-inflight'), null);
+
+  release('after');
+  assert.equal(await fresh, 'after');
+  assert.equal(getCache('invalidate-inflight'), 'after');
+});
+
+test('query keys ignore parameter order but keep value shapes apart', () => {
+  assert.equal(cacheKeyFromQuery('q', { a: '1', b: '2' }), cacheKeyFromQuery('q', { b: '2', a: '1' }));
+  assert.notEqual(cacheKeyFromQuery('q', { a: '1,2' }), cacheKeyFromQuery('q', { a: ['1', '2'] }));
+});
@@ -0,0 +1,60 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createHistoryRepository } from '../src/repositories/historyRepository.mjs';
+
+// A history store in a fresh temp directory, removed when the test ends.
+export function tempHistoryRepository(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-proxy-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createHistoryRepository({ history: { dbPath: path.join(dir, 'history.db') } });
+}
+
+// The store side of historyService over a fixed list of plays: range pages ordered by
+// (watched_at, id), as historyRepository.listRange returns them.
+export function fakeHistoryService(plays) {
+  return {
+    isConfigured: () => true,
+    listRange({ fromMs, toMs, type, after, limit }) {
+      return plays
+        .filter((play) => play.watched_at >= fromMs && play.watched_at < toMs && (!type || play.item_type === type))
+        .filter((play) => !after || play.watched_at > after.watched_at || (play.watched_at === after.watched_at && play.id > after.id))
+        .slice(0, limit);
+    },
+    getItemIdsWatchedBefore(beforeMs, type) {
+      return plays.filter((play) => play.watched_at < beforeMs && play.item_type === type).map((play) => play.item_id);
+    }
+  };
+}
+
+// The item lookups of jellyfinClient over a fixed `{ id: item }` map; `fail` makes them error.
+export function fakeJellyfinItems(items, { fail = false } = {}) {
+  return {
+    async getItemsByIds(ids) {
+      if (fail) return { ok: false, error: 'jellyfin down' };
+      return { ok: true, json: { Items: ids.map((id) => items[id]).filter(Boolean) } };
+    },
+    async getItemAncestors(id) {
+      if (fail) return { ok: false, error: 'jellyfin down' };
+      return { ok: true, json: [{ Id: items[id]?.ParentId }, { Id: 'root' }] };
+    }
+  };
+}
+
+// The live recently-watched sources of jellyfinClient: each user's played items from
+// `{ userId: [jellyfinItem, ...] }`, sorted by LastPlayedDate. The activity log is unavailable.
+export function fakeJellyfinUserPlays(playsByUser) {
+  const byDatePlayed = (a, b) => Date.parse(b.UserData.LastPlayedDate) - Date.parse(a.UserData.LastPlayedDate);
+  return {
+    async getUsers() {
+      return { ok: true, json: Object.keys(playsByUser).map((Id) => ({ Id })) };
+    },
+    async request(endpoint) {
+      const userId = decodeURIComponent(endpoint.match(/^\/Users\/([^/]+)\/Items\?/)?.[1] || '');
+      return { ok: true, json: { Items: [...(playsByUser[userId] || [])].sort(byDatePlayed) } };
+    },
+    async getActivityLog() {
+      return { ok: false, error: 'activity log unavailable' };
+    }
+  };
+}
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getConfig } from '../src/config/env.mjs';
+import { createHistoryExportService } from '../src/services/historyExportService.mjs';
+import { fakeHistoryService } from './helpers.mjs';
+
+const heat = { item_id: 'm1', item_name: 'Heat', item_type: 'movie', year: 1995, provider_ids: '{"Imdb":"tt0113277","Tmdb":"949"}' };
+const PLAYS = [
+  { id: 1, ...heat, user_id: 'aaaa', watched_at: Date.parse('2026-03-01T20:00:00-08:00'), duration_ms: 170 * 60000 },
+  { id: 2, ...heat, user_id: 'bbbb', watched_at: Date.parse('2026-03-01T21:00:00-08:00'), duration_ms: null },
+  { id: 3, ...heat, user_id: 'aaaa', watched_at: Date.parse('2026-03-09T23:30:00-07:00'), duration_ms: 60000 },
+  { id: 4, item_id: 'm2', item_name: 'Crouching Tiger, Hidden "Dragon"', item_type: 'movie', year: 2000, user_id: 'cccc', watched_at: Date.parse('2026-03-10T10:00:00-07:00'), provider_ids: null, duration_ms: 90000 },
+  { id: 5, item_id: 'e1', item_name: 'Pilot', item_type: 'episode', series_name: 'The Wire', season_number: 1, episode_number: 1, user_id: 'aaaa', watched_at: Date.parse('2026-03-11T10:00:00-07:00'), provider_ids: '{"Tvdb":"1"}', duration_ms: null }
+];
+
+const service = createHistoryExportService({
+  config: getConfig({ ACTIVITY_TIMEZONE: 'America/Los_Angeles', USER_ALIASES: 'aaaa=Dad,bbbb=Mum,cccc=hidden' }),
+  historyService: fakeHistoryService(PLAYS)
+});
+
+function exportText(query) {
+  const { exportOptions, error } = service.resolveExport(query);
+  assert.equal(error, undefined);
+  return [...service.exportChunks(exportOptions)].join('');
+}
+
+test('CSV has a header, CRLF rows, local timestamps and quoted fields', () => {
+  const lines = exportText({ format: 'csv', to: '2026-03-31' }).split('\r\n');
+  assert.equal(lines[0], 'watched_at,user,media_type,title,series_title,season_number,episode_number,year,imdb_id,tmdb_id,tvdb_id,duration_minutes');
+  assert.equal(lines[1], '2026-03-01T20:00:00-08:00,Dad,movie,Heat,,,,1995,tt0113277,949,,170');
+  assert.equal(lines[4], '2026-03-10T10:00:00-07:00,,movie,"Crouching Tiger, Hidden ""Dragon""",,,,2000,,,,2');
+  assert.equal(lines[5], '2026-03-11T10:00:00-07:00,Dad,episode,Pilot,The Wire,1,1,,,,1,');
+  assert.equal(lines.at(-1), '');
+  assert.equal(lines.length, PLAYS.length + 2);
+});
+
+test('CSV honors type and the local-day range', () => {
+  const lines = exportText({ format: 'csv', type: 'episode', to: '2026-03-31' }).trim().split('\r\n');
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], /,Pilot,/);
+
+  const firstWeek = exportText({ format: 'csv', from: '2026-03-01', to: '2026-03-09' }).trim().split('\r\n');
+  assert.equal(firstWeek.length, 4);
+});
+
+test('JSON streams a valid document with the range metadata', () => {
+  const document = JSON.parse(exportText({ format: 'json', from: '2026-03-10', to: '2026-03-31' }));
+  assert.equal(document.from, '2026-03-10T00:00:00-07:00');
+  assert.equal(document.timezone, 'America/Los_Angeles');
+  assert.deepEqual(document.items.map((item) => item.title), ['Crouching Tiger, Hidden "Dragon"', 'Pilot']);
+});
+
+test('Letterboxd logs one entry per film per local day and flags rewatches', () => {
+  const lines = exportText({ format: 'letterboxd', to: '2026-03-31' }).trim().split('\r\n');
+  assert.deepEqual(lines, [
+    'Title,Year,imdbID,tmdbID,WatchedDate,Rewatch',
+    'Heat,1995,tt0113277,949,2026-03-01,false',
+    'Heat,1995,tt0113277,949,2026-03-09,true',
+    '"Crouching Tiger, Hidden ""Dragon""",2000,,,2026-03-10,false'
+  ]);
+});
+
+test('Letterboxd counts plays before `from` as earlier watches', () => {
+  const lines = exportText({ format: 'letterboxd', from: '2026-03-05', to: '2026-03-31' }).trim().split('\r\n');
+  assert.equal(lines[1], 'Heat,1995,tt0113277,949,2026-03-09,true');
+});
+
+test('invalid export options are rejected', () => {
+  assert.match(service.resolveExport({ format: 'xml' }).error, /format must be one of/);
+  assert.match(service.resolveExport({ format: 'letterboxd', type: 'episode' }).error, /only supports movies/);
+  assert.match(service.resolveExport({ from: '2026-03-10', to: '2026-03-01' }).error, /from must be before to/);
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tempHistoryRepository } from './helpers.mjs';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const T0 = Date.parse('2026-09-01T18:00:00Z');
+
+const reportingPlay = (watchedAt, durationMs, extra = {}) => ({
+  item_id: 'm1', item_name: 'Heat', item_type: 'Movie', user_id: 'u1', watched_at: watchedAt, duration_ms: durationMs, source: 'playback-reporting', ...extra
+});
+const logEntry = (watchedAt, isStop, extra = {}) => ({
+  item_id: 'm1', item_name: 'Heat', user_id: 'u1', watched_at: watchedAt, source: 'activity-log', is_stop: isStop, ...extra
+});
+const plays = (repo) => repo.getEventsSince(0).map((row) => ({
+  at: (row.watched_at - T0) / MINUTE_MS,
+  minutes: row.duration_ms === null ? null : row.duration_ms / MINUTE_MS,
+  source: row.source
+}));
+
+test('re-ingesting the same rows changes nothing', (t) => {
+  const repo = tempHistoryRepository(t);
+  const batch = [reportingPlay(T0, 40 * MINUTE_MS), reportingPlay(T0 + DAY_MS, 50 * MINUTE_MS)];
+  assert.deepEqual(repo.recordPlays(batch), { inserted: 2, merged: 0 });
+  assert.deepEqual(repo.recordPlays(batch), { inserted: 0, merged: 0 });
+  assert.equal(repo.getEventsSince(0).length, 2);
+});
+
+test('reports of one play from different sources merge, keeping the best-ranked source', (t) => {
+  const repo = tempHistoryRepository(t);
+  repo.recordPlays([logEntry(T0 + 1000, false)]);
+  assert.deepEqual(repo.recordPlays([reportingPlay(T0, 40 * MINUTE_MS)]), { inserted: 0, merged: 1 });
+  assert.deepEqual(plays(repo), [{ at: 0, minutes: 40, source: 'playback-reporting' }]);
+  assert.equal(repo.getStats().plays, 1);
+});
+
+test('different users watching the same item are different plays', (t) => {
+  const repo = tempHistoryRepository(t);
+  repo.recordPlays([reportingPlay(T0, 40 * MINUTE_MS)]);
+  repo.recordPlays([logEntry(T0 + 1000, false, { user_id: 'u2' })]);
+  assert.equal(repo.getEventsSince(0).length, 2);
+});
+
+test('two plays of one item from one source stay separate, even within the window', (t) => {
+  const repo = tempHistoryRepository(t);
+  repo.recordPlays([reportingPlay(T0, 20 * MINUTE_MS), reportingPlay(T0 + 30 * MINUTE_MS, 20 * MINUTE_MS)]);
+  assert.deepEqual(plays(repo).map((play) => play.at), [0, 30]);
+});
+
+test('each activity-log start and stop pairs with its own reporting row', (t) => {
+  const repo = tempHistoryRepository(t);
+  repo.recordPlays([reportingPlay(T0, 40 * MINUTE_MS), reportingPlay(T0 + HOUR_MS, 50 * MINUTE_MS)]);
+  repo.recordPlays([
+    logEntry(T0 + 1000, false),
+    logEntry(T0 + 41 * MINUTE_MS, true),
+    logEntry(T0 + HOUR_MS + 500, false),
+    logEntry(T0 + HOUR_MS + 51 * MINUTE_MS, true)
+  ]);
+  assert.deepEqual(plays(repo), [
+    { at: 0, minutes: 40, source: 'playback-reporting' },
+    { at: 60, minutes: 50, source: 'playback-reporting' }
+  ]);
+});
+
+test('an activity-log stop closes its own start and supplies the duration', (t) => {
+  const repo = tempHistoryRepository(t);
+  const batch = [logEntry(T0, false, { item_id: 'm2' }), logEntry(T0 + 30 * MINUTE_MS, true, { item_id: 'm2' })];
+  repo.recordPlays(batch);
+  repo.recordPlays(batch);
+  assert.deepEqual(plays(repo), [{ at: 0, minutes: 30, source: 'activity-log' }]);
+});
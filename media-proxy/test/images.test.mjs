@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { getConfig } from '../src/config/env.mjs';
+import { createImageCache } from '../src/lib/imageCache.mjs';
+import { configureLogger } from '../src/lib/logger.mjs';
+import { createImageService } from '../src/services/imageService.mjs';
+
+configureLogger({ level: 'silent' });
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-proxy-images-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function imageServiceFor(env = {}) {
+  return createImageService(getConfig({
+    JELLYFIN_URL: 'http://jellyfin:8096',
+    JELLYFIN_TOKEN: 'token',
+    JELLYFIN_USER_ID: 'user',
+    IMAGE_SIGNING_SECRET: 'secret',
+    IMAGE_CACHE_DIR: '',
+    ...env
+  }));
+}
+
+const queryOf = (url) => Object.fromEntries(new URL(url, 'http://proxy').searchParams);
+
+// Just enough of an Express response for proxyImage.
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end(body = null) { this.body = body; return this; },
+    redirect(location) { this.statusCode = 302; this.headers.location = location; return this; }
+  };
+}
+
+test('a signed ref resolves to its Jellyfin image with the size snapped to an allowed variant', () => {
+  const images = imageServiceFor();
+  const query = queryOf(images.buildImageRef('item1', 'Primary', 'tag1'));
+
+  const upstream = images.resolveUpstream({ ...query, w: '200', quality: '60', format: 'webp' });
+  const url = new URL(upstream.url);
+  assert.equal(url.pathname, '/Items/item1/Images/Primary');
+  assert.equal(url.searchParams.get('maxWidth'), '300');
+  assert.equal(url.searchParams.get('quality'), '70');
+  assert.equal(url.searchParams.get('format'), 'Webp');
+  assert.equal(url.searchParams.get('tag'), 'tag1');
+  assert.equal(upstream.immutable, true);
+
+  assert.equal(new URL(images.resolveUpstream({ ...query, w: '5000' }).url).searchParams.get('maxWidth'), '1280');
+  assert.equal(new URL(images.resolveUpstream(query).url).searchParams.get('height'), '450');
+  assert.equal(images.resolveUpstream({ ...query, w: '201' }).cacheKey, images.resolveUpstream({ ...query, w: '300' }).cacheKey);
+  assert.deepEqual(images.resolveUpstream({ ...query, format: 'gif' }), { status: 400, error: 'unsupported image format: gif' });
+});
+
+test('refs with a missing or wrong signature are refused', () => {
+  const images = imageServiceFor();
+  const { ref, sig } = queryOf(images.buildImageRef('item1', 'Primary', 'tag1'));
+  const forged = Buffer.from('item2:Primary:tag1').toString('base64url');
+
+  assert.equal(images.resolveUpstream({ ref }).status, 403);
+  assert.equal(images.resolveUpstream({ ref, sig: 'A'.repeat(sig.length) }).status, 403);
+  assert.equal(images.resolveUpstream({ ref: forged, sig }).status, 403);
+  assert.equal(imageServiceFor({ IMAGE_SIGNING_SECRET: 'other' }).resolveUpstream({ ref, sig }).status, 403);
+});
+
+test('u= only proxies signed URLs on allowlisted hosts', () => {
+  const images = imageServiceFor();
+  const allowed = queryOf(images.signedProxyUrl('https://image.tmdb.org/t/p/w500/poster.jpg'));
+  assert.equal(images.resolveUpstream(allowed).url, 'https://image.tmdb.org/t/p/w500/poster.jpg');
+  assert.equal(images.resolveUpstream({ ...allowed, sig: undefined }).status, 403);
+
+  assert.equal(images.signedProxyUrl('https://evil.example/poster.jpg'), null);
+  const other = imageServiceFor({ IMAGE_PROXY_ALLOWED_HOSTS: 'image.tmdb.org,evil.example' });
+  const signedElsewhere = queryOf(other.signedProxyUrl('https://evil.example/poster.jpg'));
+  assert.deepEqual(images.resolveUpstream(signedElsewhere), { status: 403, error: 'image host not allowed' });
+});
+
+test('a cached image answers a matching If-None-Match with 304', async (t) => {
+  const dir = tempDir(t);
+  const env = { IMAGE_CACHE_DIR: dir };
+  const query = queryOf(imageServiceFor(env).buildImageRef('item1', 'Primary', 'tag1'));
+  const { cacheKey } = imageServiceFor(env).resolveUpstream(query);
+  const { etag } = await createImageCache({ dir }).set(cacheKey, { body: Buffer.from('jpeg'), contentType: 'image/jpeg' });
+
+  const images = imageServiceFor(env);
+  const notModified = fakeResponse();
+  await images.proxyImage({ query, headers: { 'if-none-match': `W/${etag}` } }, notModified);
+  assert.equal(notModified.statusCode, 304);
+  assert.equal(notModified.headers.etag, etag);
+  assert.equal(notModified.headers['x-cache'], 'HIT');
+
+  const full = fakeResponse();
+  await images.proxyImage({ query, headers: { 'if-none-match': '"other"' } }, full);
+  assert.equal(full.statusCode, 200);
+  assert.equal(String(full.body), 'jpeg');
+});
+
+test('the image cache reloads its index from disk and evicts least recently used entries', async (t) => {
+  const dir = tempDir(t);
+  const cache = createImageCache({ dir, maxBytes: 10 });
+  await cache.set('a', { body: Buffer.from('aaaa'), contentType: 'image/jpeg' });
+  await cache.set('b', { body: Buffer.from('bbbb'), contentType: 'image/jpeg' });
+  await cache.get('a');
+  await cache.set('c', { body: Buffer.from('cccc'), contentType: 'image/jpeg' });
+
+  assert.equal(await cache.get('b'), null);
+  const reloaded = createImageCache({ dir, maxBytes: 10 });
+  assert.equal(String((await reloaded.get('a')).body), 'aaaa');
+  assert.equal(String((await reloaded.get('c')).body), 'cccc');
+});
+
+test('concurrent writes of one key do not collide', async (t) => {
+  const dir = tempDir(t);
+  const cache = createImageCache({ dir });
+  await Promise.all(['one', 'two', 'three'].map((body) => cache.set('same', { body: Buffer.from(body), contentType: 'image/jpeg' })));
+
+  assert.equal(cache.getStats().write_errors, 0);
+  assert.ok(['one', 'two', 'three'].includes(String((await cache.get('same')).body)));
+  assert.deepEqual(fs.readdirSync(dir).filter((name) => name.endsWith('.tmp')), []);
+});
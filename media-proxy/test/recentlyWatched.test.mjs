@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getConfig } from '../src/config/env.mjs';
+import { createRedactionService } from '../src/services/redactionService.mjs';
+import { createRecentlyWatchedService } from '../src/services/recentlyWatchedService.mjs';
+import { fakeJellyfinItems, fakeJellyfinUserPlays } from './helpers.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 1, 12);
+const imageService = { posterFromJellyfinItem: () => null, fallbackPrimaryPoster: () => null };
+
+function movie(id, hoursAgo) {
+  return { Id: id, Name: `Movie ${id}`, Type: 'Movie', UserData: { LastPlayedDate: new Date(NOW - hoursAgo * HOUR_MS).toISOString() } };
+}
+
+function recentlyWatchedFor(playsByUser, env = {}) {
+  const config = getConfig({ JELLYFIN_URL: 'http://jellyfin', JELLYFIN_TOKEN: 'token', JELLYFIN_USER_ID: 'aaaa', ...env });
+  return createRecentlyWatchedService({ config, jellyfinClient: fakeJellyfinUserPlays(playsByUser), imageService });
+}
+
+function episode(id, hoursAgo) {
+  return {
+    ...movie(id, hoursAgo),
+    Name: `Episode ${id}`,
+    Type: 'Episode',
+    SeriesId: 'series1',
+    SeriesName: 'Series'
+  };
+}
+
+async function pageOf(service, query, limit = 2) {
+  const { filters, error } = service.resolveFilters(query);
+  assert.equal(error, undefined);
+  return service.getRecentlyWatched(limit, filters);
+}
+
+test('a live cursor page that runs out of the upstream window carries a warning', async () => {
+  const service = recentlyWatchedFor({ aaaa: [movie('m1', 1), movie('m2', 2), movie('m3', 3)] });
+
+  const first = await pageOf(service, {});
+  assert.deepEqual(first.items.map((item) => item.id), ['m1', 'm2']);
+  assert.equal(first.warning, undefined);
+
+  const second = await pageOf(service, { cursor: first.next_cursor });
+  assert.deepEqual(second.items.map((item) => item.id), ['m3']);
+  assert.equal(second.next_cursor, null);
+  assert.match(second.warning, /older plays in this cursor or range are missing/);
+});
+
+test('a live range is only flagged when it reaches past the oldest play read', async () => {
+  const service = recentlyWatchedFor({ aaaa: [movie('m1', 1), movie('m2', 2), movie('m3', 3)] });
+
+  const inside = await pageOf(service, { since: String(NOW - 2.5 * HOUR_MS) }, 5);
+  assert.deepEqual(inside.items.map((item) => item.id), ['m1', 'm2']);
+  assert.equal(inside.warning, undefined);
+
+  const beyond = await pageOf(service, { since: String(NOW - 48 * HOUR_MS) }, 5);
+  assert.equal(beyond.items.length, 3);
+  assert.match(beyond.warning, /older plays in this cursor or range are missing/);
+
+  const full = await pageOf(service, { until: String(NOW - 0.5 * HOUR_MS) });
+  assert.equal(full.items.length, 2);
+  assert.equal(full.warning, undefined);
+});
+
+test('a series session mixing users is redacted when any of them is hidden', async () => {
+  const env = { USER_ALIASES: 'aaaa=Dad,bbbb=Mum', REDACTION_RULES: JSON.stringify([{ user: 'Mum', action: 'drop' }]) };
+  const service = recentlyWatchedFor({ aaaa: [episode('e2', 1)], bbbb: [episode('e1', 2)] }, env);
+  const redaction = createRedactionService({ config: getConfig(env), jellyfinClient: fakeJellyfinItems({}) });
+
+  const page = await pageOf(service, { group: 'series' }, 5);
+  assert.equal(page.items.length, 1);
+  assert.equal(page.items[0].episode_count, 2);
+  assert.equal(page.items[0].user_id, null);
+  assert.deepEqual((await redaction.redactList(page, { headers: {} })).items, []);
+});
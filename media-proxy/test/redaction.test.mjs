@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getConfig } from '../src/config/env.mjs';
+import { configureLogger } from '../src/lib/logger.mjs';
+import { createRedactionService } from '../src/services/redactionService.mjs';
+import { createWrappedService } from '../src/services/wrappedService.mjs';
+import { fakeJellyfinItems } from './helpers.mjs';
+
+configureLogger({ level: 'silent' });
+
+// Jellyfin items the rules are matched against; episodes inherit their series' rating, tags and genres.
+const ITEMS = {
+  kids1: { Id: 'kids1', OfficialRating: 'G', Genres: ['Animation'], ParentId: 'lib-kids' },
+  horror1: { Id: 'horror1', OfficialRating: 'R', Genres: ['Horror'], Tags: ['Secret'], ParentId: 'lib-movies' },
+  drama1: { Id: 'drama1', OfficialRating: 'PG-13', Genres: ['Drama'], ParentId: 'lib-movies' },
+  series1: { Id: 'series1', OfficialRating: 'TV-MA', Genres: ['Crime'], ParentId: 'lib-tv' },
+  episode1: { Id: 'episode1', SeriesId: 'series1', SeasonId: 'season1', ParentId: 'season1' }
+};
+
+function redactionFor(rules, { env = {}, jellyfin = fakeJellyfinItems(ITEMS) } = {}) {
+  const config = getConfig({ REDACTION_RULES: JSON.stringify(rules), USER_ALIASES: 'aaaa=Dad,bbbb=Mum', ...env });
+  return createRedactionService({ config, jellyfinClient: jellyfin });
+}
+
+const anonymous = { headers: {} };
+const feed = (...ids) => ({ items: ids.map((id) => ({ id, title: `Title ${id}`, user_id: 'aaaa', watched_at: 1 })), total: ids.length });
+const titles = (payload) => payload.items.map((item) => item.title);
+
+test('rating, genre and tag matches are case-insensitive', async () => {
+  const service = redactionFor([{ rating: 'r', action: 'drop' }, { genre: 'ANIMATION' }, { tag: 'secret' }]);
+  const result = await service.redactList(feed('kids1', 'horror1', 'drama1'), anonymous);
+  assert.deepEqual(titles(result), ['Private', 'Title drama1']);
+  assert.equal(result.total, 2);
+});
+
+test('drop wins over placeholder when several rules match', async () => {
+  const service = redactionFor([{ genre: 'Horror' }, { tag: 'Secret', action: 'drop' }]);
+  assert.deepEqual(titles(await service.redactList(feed('horror1', 'drama1'), anonymous)), ['Title drama1']);
+});
+
+test('every field listed in one rule must match', async () => {
+  const service = redactionFor([{ genre: 'Drama', rating: 'R', action: 'drop' }]);
+  assert.deepEqual(titles(await service.redactList(feed('horror1', 'drama1'), anonymous)), ['Title horror1', 'Title drama1']);
+});
+
+test('episodes inherit their series metadata and library', async () => {
+  const byRating = redactionFor([{ rating: 'TV-MA', action: 'drop' }]);
+  assert.deepEqual(titles(await byRating.redactList(feed('episode1', 'drama1'), anonymous)), ['Title drama1']);
+
+  const byLibrary = redactionFor([{ library: 'LIB-KIDS', action: 'drop' }]);
+  assert.deepEqual(titles(await byLibrary.redactList(feed('kids1', 'drama1'), anonymous)), ['Title drama1']);
+});
+
+test('user rules accept Jellyfin ids or nicknames', async () => {
+  const service = redactionFor([{ user: 'Mum', action: 'drop' }]);
+  const payload = { items: [{ id: 'drama1', title: 'A', user_id: 'aaaa' }, { id: 'drama1', title: 'B', user_id: 'bbbb' }] };
+  assert.deepEqual(titles(await service.redactList(payload, anonymous)), ['A']);
+});
+
+test('placeholders keep timing fields and blank everything identifying', async () => {
+  const service = redactionFor([{ genre: 'Horror' }]);
+  const payload = { items: [{ id: 'horror1', title: 'Hidden', user_id: 'aaaa', poster: '/img', watched_at: 42, media_type: 'movie' }] };
+  const [placeholder] = (await service.redactList(payload, anonymous)).items;
+  assert.deepEqual(placeholder, { private: true, id: null, title: 'Private', user_id: null, poster: null, watched_at: 42, media_type: 'movie' });
+});
+
+test('items whose metadata cannot be read become placeholders', async () => {
+  const service = redactionFor([{ genre: 'Horror', action: 'drop' }], { jellyfin: fakeJellyfinItems(ITEMS, { fail: true }) });
+  assert.deepEqual(titles(await service.redactList(feed('unknown-item'), anonymous)), ['Private']);
+});
+
+test('a valid API token bypasses redaction', async () => {
+  const service = redactionFor([{ genre: 'Drama', action: 'drop' }], { env: { MEDIA_PROXY_API_TOKEN: 'secret' } });
+  const payload = feed('drama1');
+  assert.deepEqual(titles(await service.redactList(payload, { headers: { authorization: 'Bearer secret' } })), ['Title drama1']);
+  assert.deepEqual(titles(await service.redactList(payload, { headers: { authorization: 'Bearer wrong' } })), []);
+});
+
+test('wrapped rejects a hidden user filter and never counts hidden users\' plays', async () => {
+  const redaction = redactionFor([{ user: 'Mum', action: 'drop' }, { user: 'Dad', genre: 'Horror' }], { env: { MEDIA_PROXY_API_TOKEN: 'secret' } });
+  const owner = { headers: { authorization: 'Bearer secret' } };
+  assert.equal(redaction.hidesUser('Mum', anonymous), true);
+  assert.equal(redaction.hidesUser('Dad', anonymous), false);
+  assert.equal(redaction.hidesUser('Mum', owner), false);
+
+  const play = (item_id, user_id, hour) => ({ item_id, user_id, timestamp: new Date(Date.UTC(2026, 0, 1, hour)), duration_ms: 3600000 });
+  const events = [play('drama1', 'aaaa', 1), play('horror1', 'aaaa', 3), play('horror1', 'bbbb', 5), play('kids1', 'cccc', 7)];
+  const wrapped = createWrappedService({
+    config: getConfig({}),
+    jellyfinClient: fakeJellyfinItems({ ...ITEMS, drama1: { ...ITEMS.drama1, Type: 'Movie' }, horror1: { ...ITEMS.horror1, Type: 'Movie' } }),
+    imageService: { posterFromJellyfinItem: () => null },
+    activityService: { getPlaysInRange: async () => ({ events }) }
+  });
+  const period = { type: 'month', label: '2026-01', fromMs: Date.UTC(2026, 0, 1), toMs: Date.UTC(2026, 1, 1), complete: true };
+
+  const visible = await wrapped.getWrapped(period, { excludePlays: (plays) => redaction.excludeUserPlays(plays, anonymous) });
+  assert.equal(visible.total_plays, 2);
+  assert.deepEqual(visible.top_movies.map((movie) => movie.id), ['drama1']);
+  assert.equal((await wrapped.getWrapped(period, { excludePlays: (plays) => redaction.excludeUserPlays(plays, owner) })).total_plays, 4);
+});
+
+test('rules without a matcher or with an unknown action are rejected at startup', () => {
+  assert.throws(() => getConfig({ REDACTION_RULES: '[{"action":"drop"}]' }), /needs at least one of/);
+  assert.throws(() => getConfig({ REDACTION_RULES: '[{"genre":"Drama","action":"hide"}]' }), /action must be one of/);
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchIndex, foldText, searchIndex } from '../src/lib/searchIndex.mjs';
+
+const movies = [
+  { id: '1', title: 'Alien', year: 1979 },
+  { id: '2', title: 'Aliens', year: 1986 },
+  { id: '3', title: 'Alien: Covenant', year: 2017 },
+  { id: '4', title: 'The Matrix', year: 1999 },
+  { id: '5', title: 'Spider-Man', year: 2002 },
+  { id: '6', title: 'Spider-Man 2', year: 2004 },
+  { id: '7', title: 'Amélie', original_title: 'Le Fabuleux Destin d\'Amélie Poulain', year: 2001 },
+  { id: '8', title: 'Fast & Furious', year: 2009 },
+  { id: '9', title: 'Crouching Tiger, Hidden Dragon', original_title: 'Wo hu cang long', year: 2000 },
+  { id: '10', title: 'Heat', year: 1995 },
+  { id: '11', title: 'Dune', year: 1984 },
+  { id: '12', title: 'Dune', year: 2021 }
+];
+const index = buildSearchIndex(movies);
+const titles = (query, limit) => searchIndex(index, query, limit).map((item) => item.title);
+
+test('foldText strips accents and reads & as "and"', () => {
+  assert.equal(foldText('Amélie'), foldText('amelie'));
+  assert.equal(foldText('Fast & Furious'), foldText('fast and furious'));
+});
+
+test('an exact title outranks longer titles sharing its words', () => {
+  assert.deepEqual(titles('alien'), ['Alien', 'Aliens', 'Alien: Covenant']);
+  assert.equal(titles('aliens')[0], 'Aliens');
+});
+
+test('a year in the query picks between same-titled releases, newest first without one', () => {
+  const years = (query) => searchIndex(index, query).map((item) => item.year);
+  assert.deepEqual(years('dune'), [2021, 1984]);
+  assert.deepEqual(years('dune 1984'), [1984, 2021]);
+  assert.equal(titles('alien 1979')[0], 'Alien');
+});
+
+test('leading articles, punctuation and spacing are ignored', () => {
+  assert.equal(titles('matrix')[0], 'The Matrix');
+  assert.deepEqual(titles('spiderman'), ['Spider-Man', 'Spider-Man 2']);
+  assert.equal(titles('spider man 2')[0], 'Spider-Man 2');
+});
+
+test('typos still match through trigram similarity', () => {
+  assert.deepEqual(titles('matrx'), ['The Matrix']);
+  assert.equal(titles('crouching tigr')[0], 'Crouching Tiger, Hidden Dragon');
+});
+
+test('original titles and folded forms are searchable', () => {
+  assert.equal(titles('wo hu')[0], 'Crouching Tiger, Hidden Dragon');
+  assert.equal(titles('amelie')[0], 'Amélie');
+  assert.equal(titles('fast and furious')[0], 'Fast & Furious');
+});
+
+test('unrelated and empty queries find nothing, and limit is honored', () => {
+  assert.deepEqual(titles('zzzz'), []);
+  assert.deepEqual(titles('  '), []);
+  assert.equal(titles('alien', 1).length, 1);
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildTimeBuckets,
+  findBucketIndex,
+  floorToBucket,
+  formatZonedIso,
+  lastLocalDays,
+  parseZonedDate
+} from '../src/lib/time.mjs';
+
+const LA = 'America/Los_Angeles';
+const HOUR_MS = 60 * 60 * 1000;
+
+function bucketsOf(from, to, granularity, timezone = LA) {
+  return buildTimeBuckets({
+    fromMs: parseZonedDate(from, timezone),
+    toMs: parseZonedDate(to, timezone, { endOfDay: true }),
+    granularity,
+    timezone
+  });
+}
+
+test('spring-forward day is one 23h bucket', () => {
+  const buckets = bucketsOf('2026-03-07', '2026-03-09', 'day');
+  assert.deepEqual(buckets.map(({ start, end }) => (end - start) / HOUR_MS), [24, 23, 24]);
+  assert.equal(formatZonedIso(buckets[1].start, LA), '2026-03-08T00:00:00-08:00');
+  assert.equal(formatZonedIso(buckets[1].end, LA), '2026-03-09T00:00:00-07:00');
+});
+
+test('fall-back day is one 25h bucket', () => {
+  const buckets = bucketsOf('2026-11-01', '2026-11-01', 'day');
+  assert.equal(buckets.length, 1);
+  assert.equal((buckets[0].end - buckets[0].start) / HOUR_MS, 25);
+});
+
+test('the repeated fall-back hour is two hour buckets with different offsets', () => {
+  const fromMs = parseZonedDate('2026-11-01T00:00:00-07:00', LA);
+  const buckets = buildTimeBuckets({ fromMs, toMs: fromMs + 4 * HOUR_MS, granularity: 'hour', timezone: LA });
+  assert.deepEqual(buckets.map(({ start }) => formatZonedIso(start, LA)), [
+    '2026-11-01T00:00:00-07:00',
+    '2026-11-01T01:00:00-07:00',
+    '2026-11-01T01:00:00-08:00',
+    '2026-11-01T02:00:00-08:00'
+  ]);
+});
+
+test('a day whose midnight does not exist starts when the day actually begins', () => {
+  // Santiago springs forward at midnight: 2026-09-06 begins at 01:00 local.
+  const timezone = 'America/Santiago';
+  const start = parseZonedDate('2026-09-06', timezone);
+  assert.equal(formatZonedIso(start, timezone), '2026-09-06T01:00:00-03:00');
+  assert.equal(floorToBucket(start + 5 * HOUR_MS, 'day', timezone), start);
+});
+
+test('week and month buckets follow local boundaries across a DST change', () => {
+  const weeks = bucketsOf('2026-03-02', '2026-03-15', 'week');
+  assert.deepEqual(weeks.map(({ start }) => formatZonedIso(start, LA)), [
+    '2026-03-02T00:00:00-08:00',
+    '2026-03-09T00:00:00-07:00'
+  ]);
+
+  const months = bucketsOf('2026-03-01', '2026-04-30', 'month');
+  assert.deepEqual(months.map(({ start }) => formatZonedIso(start, LA)), [
+    '2026-03-01T00:00:00-08:00',
+    '2026-04-01T00:00:00-07:00'
+  ]);
+});
+
+test('events land in the local day they happened on', () => {
+  const buckets = bucketsOf('2026-03-07', '2026-03-09', 'day');
+  assert.equal(findBucketIndex(buckets, Date.parse('2026-03-08T07:59:59Z')), 0);
+  assert.equal(findBucketIndex(buckets, Date.parse('2026-03-08T08:00:00Z')), 1);
+  assert.equal(findBucketIndex(buckets, Date.parse('2026-03-09T06:59:59Z')), 1);
+  assert.equal(findBucketIndex(buckets, Date.parse('2026-03-09T07:00:00Z')), 2);
+  assert.equal(findBucketIndex(buckets, Date.parse('2026-03-11T00:00:00Z')), -1);
+});
+
+test('lastLocalDays counts calendar days, not 24h steps', () => {
+  const days = lastLocalDays(3, LA, Date.parse('2026-03-09T12:00:00-07:00'));
+  assert.deepEqual(days.map(({ start }) => formatZonedIso(start, LA)), [
+    '2026-03-07T00:00:00-08:00',
+    '2026-03-08T00:00:00-08:00',
+    '2026-03-09T00:00:00-07:00'
+  ]);
+});
+
+test('parseZonedDate rejects impossible dates and offsetless timestamps', () => {
+  assert.equal(parseZonedDate('2026-02-30', LA), null);
+  assert.equal(parseZonedDate('2026-03-08T10:00:00', LA), null);
+  assert.equal(parseZonedDate('2026-03-08T10:00:00Z', LA), Date.parse('2026-03-08T10:00:00Z'));
+});
+
+test('buildTimeBuckets refuses ranges over maxBuckets', () => {
+  const fromMs = parseZonedDate('2026-01-01', LA);
+  assert.equal(buildTimeBuckets({ fromMs, toMs: fromMs + 10 * HOUR_MS, granularity: 'hour', timezone: LA, maxBuckets: 5 }), null);
+});